@@ -0,0 +1,90 @@
+const { formatInTimeZone } = require("date-fns-tz");
+
+/**
+ * Picks a caller's appointment from what the voice agent actually knows.
+ *
+ * A hint is one of:
+ *   - appointmentId: exact Shopmonkey ID (wins over everything else)
+ *   - originalDate with a time ("2026-11-03T14:00:00-08:00"): same-minute match
+ *   - originalDate as a date only ("2026-11-03"): every appointment that shop-local day,
+ *     optionally narrowed by timeOfDay ("morning" | "afternoon" | "evening") or timeFrom/timeTo ("HH:mm")
+ *
+ * Matching returns every candidate; the caller decides what to do when there is more than one.
+ */
+
+const TIME_OF_DAY_WINDOWS = {
+  morning: { from: "00:00", to: "12:00" },
+  afternoon: { from: "12:00", to: "17:00" },
+  evening: { from: "17:00", to: "24:00" },
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class AppointmentHintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AppointmentHintError";
+    this.code = "INVALID_APPOINTMENT_HINT";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Validates the hint fields from a request body. Returns null when neither appointmentId nor
+ * originalDate was given.
+ */
+function parseAppointmentHint({ appointmentId, originalDate, timeOfDay, timeFrom, timeTo } = {}) {
+  if (appointmentId) return { appointmentId: String(appointmentId) };
+  if (!originalDate) return null;
+
+  const dateText = String(originalDate).trim();
+  if (DATE_ONLY_PATTERN.test(dateText)) {
+    return { date: dateText, window: parseTimeWindow({ timeOfDay, timeFrom, timeTo }) };
+  }
+
+  const exact = new Date(dateText);
+  if (isNaN(exact.getTime())) {
+    throw new AppointmentHintError("Invalid originalDate. Use an ISO timestamp or a YYYY-MM-DD date.");
+  }
+  return { exact };
+}
+
+function parseTimeWindow({ timeOfDay, timeFrom, timeTo }) {
+  if (timeOfDay) {
+    const window = TIME_OF_DAY_WINDOWS[String(timeOfDay).toLowerCase()];
+    if (!window) {
+      throw new AppointmentHintError(`Invalid timeOfDay '${timeOfDay}'. Use morning, afternoon or evening.`);
+    }
+    return window;
+  }
+  if (!timeFrom && !timeTo) return null;
+  if ((timeFrom && !TIME_PATTERN.test(timeFrom)) || (timeTo && !TIME_PATTERN.test(timeTo))) {
+    throw new AppointmentHintError("Invalid timeFrom/timeTo. Use 24-hour HH:mm.");
+  }
+  return { from: timeFrom || "00:00", to: timeTo || "24:00" };
+}
+
+/**
+ * Returns the appointments matching a parsed hint, in start order.
+ */
+function matchAppointments(appointments, hint, timeZone) {
+  const matches = appointments.filter((appt) => {
+    if (hint.appointmentId) return String(appt.id) === hint.appointmentId;
+
+    const start = new Date(appt.startDate);
+    if (hint.exact) {
+      return Math.floor(start.getTime() / 60000) === Math.floor(hint.exact.getTime() / 60000);
+    }
+
+    if (formatInTimeZone(start, timeZone, "yyyy-MM-dd") !== hint.date) return false;
+    if (!hint.window) return true;
+    // "HH:mm" strings compare correctly as text
+    const localTime = formatInTimeZone(start, timeZone, "HH:mm");
+    return localTime >= hint.window.from && localTime < hint.window.to;
+  });
+
+  return matches.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+module.exports = { AppointmentHintError, parseAppointmentHint, matchAppointments, TIME_OF_DAY_WINDOWS };
@@ -0,0 +1,82 @@
+/**
+ * Shared appointment-query layer.
+ *
+ * Shopmonkey's /appointment/search returns one page at a time. These helpers keep requesting
+ * pages until the result set is exhausted, so callers never mistake the first page for everything.
+ * A page cap stops runaway loops; hitting it is logged so truncated results don't go unnoticed.
+ */
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = Number(process.env.APPOINTMENT_SEARCH_MAX_PAGES) || 20;
+
+/**
+ * Runs an appointment search with the given `where` clause and returns every matching appointment.
+ */
+async function searchAppointments(location, where, options = {}) {
+  const { orderBy = { startDate: "asc" }, pageSize = PAGE_SIZE, maxPages = MAX_PAGES, label = "appointment search" } = options;
+  const appointments = [];
+  const seenIds = new Set();
+  let skip = 0;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const response = await location.api.post("/appointment/search", {
+      where,
+      orderBy,
+      limit: pageSize,
+      skip,
+    });
+
+    const rows = response.data.data || [];
+
+    // Guard against an upstream that ignores `skip` and keeps returning the same page
+    const fresh = rows.filter((appt) => !seenIds.has(appt.id));
+    if (rows.length > 0 && fresh.length === 0) {
+      console.warn(`[WARN] ${label}: page ${page} repeated earlier results; stopping at ${appointments.length} appointments.`);
+      return appointments;
+    }
+    fresh.forEach((appt) => seenIds.add(appt.id));
+    appointments.push(...fresh);
+
+    const hasMore = response.data.meta && typeof response.data.meta.hasMore === "boolean"
+      ? response.data.meta.hasMore
+      : rows.length === pageSize;
+    if (!hasMore || rows.length === 0) {
+      return appointments;
+    }
+    skip += rows.length;
+  }
+
+  console.warn(`[WARN] ${label}: hit the ${maxPages}-page cap (${appointments.length} appointments). Results may be incomplete.`);
+  return appointments;
+}
+
+/**
+ * Every non-canceled appointment at the location that starts inside [from, to].
+ */
+function findAppointmentsInRange(location, from, to, options = {}) {
+  return searchAppointments(
+    location,
+    {
+      locationId: { _eq: location.locationId },
+      startDate: { gte: from.toISOString(), lte: to.toISOString() },
+      status: { _neq: "Canceled" },
+    },
+    { label: `appointments ${from.toISOString()}..${to.toISOString()}`, ...options }
+  );
+}
+
+/**
+ * Every non-canceled appointment for a customer, optionally only those starting on or after `from`.
+ */
+function findCustomerAppointments(location, customerId, options = {}) {
+  const { from, ...searchOptions } = options;
+  const where = {
+    customerId: String(customerId),
+    status: { _neq: "Canceled" },
+  };
+  if (from) where.startDate = { gte: from.toISOString() };
+
+  return searchAppointments(location, where, { label: `appointments for customer ${customerId}`, ...searchOptions });
+}
+
+module.exports = { searchAppointments, findAppointmentsInRange, findCustomerAppointments };
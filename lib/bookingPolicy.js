@@ -0,0 +1,167 @@
+const fs = require("fs");
+const path = require("path");
+const { formatInTimeZone } = require("date-fns-tz");
+const { checkBusinessHours } = require("./schedule");
+
+/**
+ * Booking policy: when a slot may be booked, on top of the shop's business hours.
+ * One check shared by /check-availability, /hold-slot, /booking and /update-appointment.
+ *
+ * The policy is resolved in this order:
+ *   1. BOOKING_POLICY_JSON  - inline JSON in the environment
+ *   2. BOOKING_POLICY_PATH  - path to a JSON file
+ *   3. config/policy.json
+ *   4. DEFAULT_POLICY below (the original Saturday 24-hour notice rule)
+ *
+ * Shape:
+ * {
+ *   "minLeadMinutes": 60,                                     // earliest bookable time is now + this
+ *   "maxHorizonDays": 90,                                     // latest bookable time is now + this
+ *   "noticeRules": [{ "days": ["sat"], "minNoticeHours": 24 }] // extra notice for specific weekdays
+ * }
+ */
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_NAMES = { sun: "Sunday", mon: "Monday", tue: "Tuesday", wed: "Wednesday", thu: "Thursday", fri: "Friday", sat: "Saturday" };
+
+const DEFAULT_POLICY = {
+  minLeadMinutes: 60,
+  maxHorizonDays: 90,
+  noticeRules: [{ days: ["sat"], minNoticeHours: 24 }],
+};
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, "..", "config", "policy.json");
+
+// Reason codes returned to the voice agent, alongside the SCHEDULE_CODES from lib/schedule.js.
+const POLICY_CODES = {
+  BOOKING_IN_PAST: "BOOKING_IN_PAST",
+  INSUFFICIENT_LEAD_TIME: "INSUFFICIENT_LEAD_TIME",
+  NOTICE_REQUIRED: "NOTICE_REQUIRED",
+  BEYOND_BOOKING_HORIZON: "BEYOND_BOOKING_HORIZON",
+};
+
+function loadBookingPolicy(env = process.env) {
+  let raw = DEFAULT_POLICY;
+  let source = "built-in default";
+
+  if (env.BOOKING_POLICY_JSON) {
+    raw = JSON.parse(env.BOOKING_POLICY_JSON);
+    source = "BOOKING_POLICY_JSON";
+  } else if (env.BOOKING_POLICY_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.BOOKING_POLICY_PATH, "utf8"));
+    source = env.BOOKING_POLICY_PATH;
+  } else if (fs.existsSync(DEFAULT_POLICY_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_POLICY_PATH, "utf8"));
+    source = DEFAULT_POLICY_PATH;
+  }
+
+  const policy = normalizeBookingPolicy(raw);
+  console.log(`[INFO] Loaded booking policy from ${source}`);
+  return policy;
+}
+
+/**
+ * Validates a raw policy object. Missing fields fall back to DEFAULT_POLICY.
+ */
+function normalizeBookingPolicy(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Booking policy must be a JSON object.");
+  }
+
+  const minLeadMinutes = raw.minLeadMinutes === undefined ? DEFAULT_POLICY.minLeadMinutes : Number(raw.minLeadMinutes);
+  if (!Number.isFinite(minLeadMinutes) || minLeadMinutes < 0) {
+    throw new Error("minLeadMinutes must be zero or a positive number.");
+  }
+
+  const maxHorizonDays = raw.maxHorizonDays === undefined ? DEFAULT_POLICY.maxHorizonDays : Number(raw.maxHorizonDays);
+  if (!(maxHorizonDays > 0)) {
+    throw new Error("maxHorizonDays must be a positive number.");
+  }
+
+  const noticeRules = (raw.noticeRules === undefined ? DEFAULT_POLICY.noticeRules : raw.noticeRules).map((rule, i) => {
+    const days = (rule.days || []).map((day) => String(day).toLowerCase());
+    if (days.length === 0 || days.some((day) => !DAY_KEYS.includes(day))) {
+      throw new Error(`noticeRules[${i}].days must list weekdays as ${DAY_KEYS.join(", ")}.`);
+    }
+    const minNoticeHours = Number(rule.minNoticeHours);
+    if (!(minNoticeHours > 0)) {
+      throw new Error(`noticeRules[${i}].minNoticeHours must be a positive number.`);
+    }
+    return { days, minNoticeHours };
+  });
+
+  return { minLeadMinutes, maxHorizonDays, noticeRules };
+}
+
+/**
+ * The time-based rules only (past, lead time, weekday notice, horizon) for a start time.
+ * Used on its own when generating slots, which already come from open hours.
+ * Returns { ok: true } or { ok: false, code, message }.
+ */
+function checkBookingTiming(policy, start, timeZone, now = new Date()) {
+  const minutesAhead = (start.getTime() - now.getTime()) / 60000;
+
+  if (minutesAhead < 0) {
+    return { ok: false, code: POLICY_CODES.BOOKING_IN_PAST, message: "The requested time has already passed." };
+  }
+
+  if (minutesAhead < policy.minLeadMinutes) {
+    return {
+      ok: false,
+      code: POLICY_CODES.INSUFFICIENT_LEAD_TIME,
+      message: `Appointments must be booked at least ${formatDuration(policy.minLeadMinutes)} in advance.`,
+    };
+  }
+
+  const dayKey = formatInTimeZone(start, timeZone, "EEE").toLowerCase();
+  const noticeRule = policy.noticeRules.find((rule) => rule.days.includes(dayKey) && minutesAhead < rule.minNoticeHours * 60);
+  if (noticeRule) {
+    return {
+      ok: false,
+      code: POLICY_CODES.NOTICE_REQUIRED,
+      message: `${DAY_NAMES[dayKey]} appointments must be booked at least ${formatDuration(noticeRule.minNoticeHours * 60)} in advance.`,
+    };
+  }
+
+  if (minutesAhead > policy.maxHorizonDays * 24 * 60) {
+    return {
+      ok: false,
+      code: POLICY_CODES.BEYOND_BOOKING_HORIZON,
+      message: `Appointments can only be booked up to ${policy.maxHorizonDays} days ahead.`,
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Full check for a requested appointment [start, end): timing rules, then business hours.
+ * `location` needs policy, schedule and timeZone.
+ */
+function checkBookingPolicy(location, start, end, now = new Date()) {
+  const timing = checkBookingTiming(location.policy, start, location.timeZone, now);
+  if (!timing.ok) return timing;
+  return checkBusinessHours(location.schedule, start, end, location.timeZone);
+}
+
+/**
+ * Latest bookable start time, so searches can stop at the horizon.
+ */
+function getBookingHorizon(policy, now = new Date()) {
+  return new Date(now.getTime() + policy.maxHorizonDays * 24 * 60 * 60 * 1000);
+}
+
+function formatDuration(minutes) {
+  if (minutes % (24 * 60) === 0 && minutes >= 48 * 60) return `${minutes / (24 * 60)} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? "1 hour" : `${minutes / 60} hours`;
+  return `${minutes} minutes`;
+}
+
+module.exports = {
+  POLICY_CODES,
+  loadBookingPolicy,
+  normalizeBookingPolicy,
+  checkBookingTiming,
+  checkBookingPolicy,
+  getBookingHorizon,
+};
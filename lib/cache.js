@@ -0,0 +1,92 @@
+/**
+ * Small in-process TTL cache with tag-based invalidation.
+ *
+ * The voice agent typically calls /identify-caller, /verify-appointment and /update-appointment
+ * seconds apart within one phone call, and each of them looks up the same customer. Entries are
+ * tagged (e.g. "main:customer:123") so a write can drop everything that depends on that record.
+ */
+
+function createTtlCache(options = {}) {
+  const { defaultTtlMs = 60 * 1000, maxEntries = 5000 } = options;
+  const entries = new Map(); // key -> { value, expiresAt, tags }
+  const tagIndex = new Map(); // tag -> Set<key>
+  const pending = new Map(); // key -> Promise, so concurrent misses share one upstream call
+  let generation = 0; // bumped on every invalidation so in-flight loads don't re-cache stale data
+
+  function removeKey(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    entry.tags.forEach((tag) => {
+      const keys = tagIndex.get(tag);
+      if (!keys) return;
+      keys.delete(key);
+      if (keys.size === 0) tagIndex.delete(tag);
+    });
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      removeKey(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function set(key, value, { ttlMs = defaultTtlMs, tags = [] } = {}) {
+    removeKey(key);
+    // Map keeps insertion order, so the first key is the oldest
+    if (entries.size >= maxEntries) removeKey(entries.keys().next().value);
+
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs, tags });
+    tags.forEach((tag) => {
+      if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+      tagIndex.get(tag).add(key);
+    });
+  }
+
+  /**
+   * Returns the cached value or runs loader() once and caches its result.
+   * `tags` may be a function of the loaded value (e.g. to tag a phone lookup with the customer ID).
+   */
+  async function wrap(key, { ttlMs, tags = [] } = {}, loader) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    if (pending.has(key)) return pending.get(key);
+
+    const startedAt = generation;
+    const promise = (async () => {
+      try {
+        // Deferred so the finally below always runs after pending.set()
+        const value = await Promise.resolve().then(loader);
+        if (startedAt === generation) {
+          set(key, value, { ttlMs, tags: typeof tags === "function" ? tags(value) : tags });
+        }
+        return value;
+      } finally {
+        if (pending.get(key) === promise) pending.delete(key);
+      }
+    })();
+    pending.set(key, promise);
+    return promise;
+  }
+
+  function invalidate(key) {
+    generation++;
+    pending.delete(key);
+    removeKey(key);
+  }
+
+  function invalidateTag(tag) {
+    generation++;
+    const keys = tagIndex.get(tag);
+    if (!keys) return;
+    [...keys].forEach(removeKey);
+  }
+
+  return { get, set, wrap, invalidate, invalidateTag };
+}
+
+module.exports = { createTtlCache };
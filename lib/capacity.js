@@ -0,0 +1,120 @@
+/**
+ * Bay / technician capacity model.
+ *
+ * A location's "capacity" config:
+ * {
+ *   "total": 4,                          // appointments the shop can run at the same time (bays)
+ *   "resourceField": "assignedUserId",   // optional appointment field naming the technician or bay
+ *   "resources": { "tech-123": 1 },      // optional per-resource limits; 0 takes a resource off the schedule
+ *   "defaultResourceCapacity": 1         // limit for resources not listed above
+ * }
+ *
+ * A slot is available while the peak number of overlapping appointments stays below capacity.
+ */
+
+const DEFAULT_CAPACITY = {
+  total: 1,
+  resourceField: null,
+  resources: {},
+  defaultResourceCapacity: 1,
+};
+
+function normalizeCapacity(raw) {
+  if (raw === undefined || raw === null) return { ...DEFAULT_CAPACITY };
+  if (typeof raw === "number" || typeof raw === "string") raw = { total: raw };
+
+  const total = Number(raw.total === undefined ? DEFAULT_CAPACITY.total : raw.total);
+  if (!Number.isInteger(total) || total < 1) {
+    throw new Error("capacity.total must be a positive integer.");
+  }
+
+  const resources = {};
+  Object.entries(raw.resources || {}).forEach(([id, limit]) => {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`capacity.resources["${id}"] must be a non-negative integer.`);
+    }
+    resources[id] = value;
+  });
+
+  const defaultResourceCapacity = Number(raw.defaultResourceCapacity ?? DEFAULT_CAPACITY.defaultResourceCapacity);
+  if (!Number.isInteger(defaultResourceCapacity) || defaultResourceCapacity < 0) {
+    throw new Error("capacity.defaultResourceCapacity must be a non-negative integer.");
+  }
+
+  return {
+    total,
+    resourceField: raw.resourceField || null,
+    resources,
+    defaultResourceCapacity,
+  };
+}
+
+/**
+ * Highest number of appointments running at the same instant inside [start, end).
+ */
+function peakConcurrency(appointments, start, end) {
+  const events = [];
+  appointments.forEach((appt) => {
+    const apptStart = new Date(appt.startDate);
+    const apptEnd = new Date(appt.endDate);
+    // Overlap logic: (StartA < EndB) and (EndA > StartB)
+    if (apptStart < end && apptEnd > start) {
+      events.push([Math.max(apptStart.getTime(), start.getTime()), 1]);
+      events.push([Math.min(apptEnd.getTime(), end.getTime()), -1]);
+    }
+  });
+
+  // Ends sort before starts at the same instant so back-to-back appointments don't stack
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+}
+
+function usesResource(appt, field, resourceId) {
+  const value = appt[field];
+  if (Array.isArray(value)) return value.map(String).includes(String(resourceId));
+  return value !== undefined && value !== null && String(value) === String(resourceId);
+}
+
+/**
+ * Works out how many more appointments fit in [start, end).
+ * Pass resourceId to also enforce the limit for one technician or bay.
+ * Returns { available, capacity, booked, remaining }.
+ */
+function getSlotCapacity(capacity, appointments, start, end, options = {}) {
+  const { resourceId = null, excludeAppointmentId = null } = options;
+  const relevant = excludeAppointmentId
+    ? appointments.filter((appt) => appt.id !== excludeAppointmentId)
+    : appointments;
+
+  const booked = peakConcurrency(relevant, start, end);
+  let remaining = capacity.total - booked;
+  let slotCapacity = capacity.total;
+  let slotBooked = booked;
+
+  if (resourceId && capacity.resourceField) {
+    const resourceLimit = capacity.resources[resourceId] ?? capacity.defaultResourceCapacity;
+    const resourceBooked = peakConcurrency(
+      relevant.filter((appt) => usesResource(appt, capacity.resourceField, resourceId)),
+      start,
+      end
+    );
+    if (resourceLimit - resourceBooked < remaining) {
+      remaining = resourceLimit - resourceBooked;
+      slotCapacity = resourceLimit;
+      slotBooked = resourceBooked;
+    }
+  }
+
+  remaining = Math.max(remaining, 0);
+  return { available: remaining > 0, capacity: slotCapacity, booked: slotBooked, remaining };
+}
+
+module.exports = { normalizeCapacity, peakConcurrency, getSlotCapacity };
@@ -0,0 +1,46 @@
+// Levenshtein Distance for Fuzzy Matching
+function levenshteinDistance(a, b) {
+  const matrix = [];
+
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1, // substitution
+          Math.min(
+            matrix[i][j - 1] + 1,   // insertion
+            matrix[i - 1][j] + 1    // deletion
+          )
+        );
+      }
+    }
+  }
+
+  return matrix[b.length][a.length];
+}
+
+function isFuzzyMatch(str1, str2) {
+  if (!str1 || !str2) return false;
+  const s1 = str1.toLowerCase().trim();
+  const s2 = str2.toLowerCase().trim();
+
+  if (s1 === s2) return true;
+
+  // Allow a small number of edits based on string length
+  const maxEdits = Math.floor(Math.min(s1.length, s2.length) / 3);
+  const dist = levenshteinDistance(s1, s2);
+
+  return dist <= maxEdits;
+}
+
+module.exports = { levenshteinDistance, isFuzzyMatch };
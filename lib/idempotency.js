@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Idempotency keys for mutating routes.
+ *
+ * Voice platforms retry webhooks on timeout. A request carrying an Idempotency-Key header
+ * (or "idempotencyKey" body field) that was already answered gets the original response back
+ * without touching Shopmonkey again. A retry that arrives while the first attempt is still
+ * running waits for it instead of racing it.
+ *
+ * Stores are pluggable: anything with async get(key), set(key, record, ttlMs) and delete(key).
+ */
+
+function createMemoryIdempotencyStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlMs) {
+      records.set(key, { record, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+}
+
+/**
+ * Same contract as the memory store, persisted to a JSON file so replays survive a restart.
+ * Writes go to a temp file first and are renamed into place.
+ */
+function createFileIdempotencyStore(filePath) {
+  let records = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.error(`[ERROR] Could not read idempotency store ${filePath}, starting empty:`, error.message);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+  function persist() {
+    const now = Date.now();
+    Object.keys(records).forEach((key) => {
+      if (records[key].expiresAt <= now) delete records[key];
+    });
+    const snapshot = JSON.stringify(records);
+
+    writeChain = writeChain.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    }).catch((error) => {
+      console.error(`[ERROR] Could not write idempotency store ${filePath}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  return {
+    async get(key) {
+      const entry = records[key];
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        delete records[key];
+        return null;
+      }
+      return entry.record;
+    },
+
+    async set(key, record, ttlMs) {
+      records[key] = { record, expiresAt: Date.now() + ttlMs };
+      await persist();
+    },
+
+    async delete(key) {
+      delete records[key];
+      await persist();
+    },
+  };
+}
+
+function createIdempotencyStoreFromEnv(env = process.env) {
+  if (env.IDEMPOTENCY_STORE === "file") {
+    const filePath = path.resolve(env.IDEMPOTENCY_FILE || path.join(__dirname, "..", "data", "idempotency.json"));
+    console.log(`[INFO] Idempotency keys persisted to ${filePath}`);
+    return createFileIdempotencyStore(filePath);
+  }
+  return createMemoryIdempotencyStore();
+}
+
+function fingerprint(body) {
+  const { idempotencyKey, ...rest } = body || {};
+  return crypto.createHash("sha256").update(JSON.stringify(rest)).digest("hex");
+}
+
+// Errors that tell the caller to try again are left out, or every retry would get them back
+const RETRYABLE_STATUS_CODES = [408, 429];
+const RETRYABLE_ERROR_CODES = ["SLOT_BUSY"];
+
+function isCacheable(record) {
+  if (record.statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(record.statusCode)) return false;
+  return !(record.body && RETRYABLE_ERROR_CODES.includes(record.body.code));
+}
+
+/**
+ * Express middleware factory. Responses below 500 are remembered for ttlMs; server errors and
+ * retryable errors (timeouts, rate limits, a busy slot lock) are not, so a retry gets a fresh attempt.
+ */
+function createIdempotencyMiddleware(store, options = {}) {
+  const { ttlMs = 24 * 60 * 60 * 1000 } = options;
+  const inFlight = new Map();
+
+  return async (req, res, next) => {
+    const clientKey = req.get("Idempotency-Key") || (req.body && req.body.idempotencyKey);
+    if (!clientKey) return next();
+
+    const locationKey = req.location ? req.location.key : "-";
+    const key = `${locationKey}:${req.method}:${req.path}:${clientKey}`;
+    const requestHash = fingerprint(req.body);
+
+    const replay = (record) => {
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          code: "IDEMPOTENCY_KEY_REUSED",
+          message: "Client error: This Idempotency-Key was already used with a different request body.",
+        });
+      }
+      console.log(`[INFO] Idempotent replay for key ${clientKey} on ${req.path}`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.statusCode).json(record.body);
+    };
+
+    try {
+      if (inFlight.has(key)) {
+        const record = await inFlight.get(key);
+        if (record) return replay(record);
+        // The first attempt failed without a cacheable response; run this one normally
+      } else {
+        const stored = await store.get(key);
+        if (stored) return replay(stored);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    let settle;
+    inFlight.set(key, new Promise((resolve) => (settle = resolve)));
+
+    // Record the response when the handler produces it rather than when the socket closes:
+    // the retry usually arrives because the platform already hung up on the first attempt.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const record = { statusCode: res.statusCode, body, requestHash };
+      const cacheable = isCacheable(record);
+
+      Promise.resolve(cacheable ? store.set(key, record, ttlMs) : null)
+        .catch((error) => console.error(`[ERROR] Failed to store idempotency key ${clientKey}:`, error.message))
+        .finally(() => {
+          inFlight.delete(key);
+          settle(cacheable ? record : null);
+        });
+
+      return originalJson(body);
+    };
+
+    return next();
+  };
+}
+
+module.exports = {
+  createMemoryIdempotencyStore,
+  createFileIdempotencyStore,
+  createIdempotencyStoreFromEnv,
+  createIdempotencyMiddleware,
+};
@@ -0,0 +1,255 @@
+const fs = require("fs");
+const path = require("path");
+const { isSupportedCountry } = require("libphonenumber-js");
+const { loadSchedule, normalizeSchedule, warnIfDatedHolidaysExpired } = require("./schedule");
+const { loadServiceCatalog, normalizeServiceCatalog } = require("./services");
+const { normalizeCapacity } = require("./capacity");
+const { loadBookingPolicy, normalizeBookingPolicy } = require("./bookingPolicy");
+const { createShopmonkeyClient } = require("./shopmonkeyClient");
+
+/**
+ * Location registry: one entry per shop, each with its own Shopmonkey credentials,
+ * timezone, business hours and slot length.
+ *
+ * The registry is resolved in this order:
+ *   1. LOCATIONS_JSON  - inline JSON in the environment
+ *   2. LOCATIONS_PATH  - path to a JSON file
+ *   3. config/locations.json
+ *   4. A single location built from SHOPMONKEY_API_KEY, LOCATION_ID, SHOP_TIMEZONE and SHOP_CAPACITY
+ *
+ * Shape (see config/locations.example.json):
+ * {
+ *   "defaultLocation": "downtown",
+ *   "locations": [{
+ *     "key": "downtown",
+ *     "name": "Downtown Auto",
+ *     "apiKeyEnv": "SHOPMONKEY_API_KEY_DOWNTOWN",   // or "apiKey" directly
+ *     "locationId": "abc123",
+ *     "timeZone": "America/Los_Angeles",
+ *     "slotMinutes": 30,
+ *     "schedulePath": "config/schedule.json",        // or an inline "schedule" object
+ *     "servicesPath": "config/services.json",        // or an inline "services" catalog
+ *     "policyPath": "config/policy.json",            // or an inline "policy" (lead time, notice, horizon)
+ *     "capacity": { "total": 4 },                    // concurrent appointments, see lib/capacity.js
+ *     "phoneNumbers": ["+15551230000"],              // dialed numbers routed to this shop
+ *     "phoneRegion": "US"                            // region for caller numbers without a country code
+ *   }]
+ * }
+ */
+
+const DEFAULT_LOCATIONS_PATH = path.join(__dirname, "..", "config", "locations.json");
+const DEFAULT_TIMEZONE = "America/Los_Angeles";
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_PHONE_REGION = "US";
+
+function loadLocations(env = process.env) {
+  let raw = null;
+  let source = null;
+
+  if (env.LOCATIONS_JSON) {
+    raw = JSON.parse(env.LOCATIONS_JSON);
+    source = "LOCATIONS_JSON";
+  } else if (env.LOCATIONS_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.LOCATIONS_PATH, "utf8"));
+    source = env.LOCATIONS_PATH;
+  } else if (fs.existsSync(DEFAULT_LOCATIONS_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_LOCATIONS_PATH, "utf8"));
+    source = DEFAULT_LOCATIONS_PATH;
+  }
+
+  if (!raw) {
+    if (!env.SHOPMONKEY_API_KEY || !env.LOCATION_ID) {
+      throw new Error("SHOPMONKEY_API_KEY and LOCATION_ID must be defined in the .env file (or configure config/locations.json).");
+    }
+    raw = {
+      locations: [{
+        key: "default",
+        name: "Default Location",
+        apiKey: env.SHOPMONKEY_API_KEY,
+        locationId: env.LOCATION_ID,
+        timeZone: env.SHOP_TIMEZONE || DEFAULT_TIMEZONE,
+        capacity: env.SHOP_CAPACITY,
+      }],
+    };
+    source = ".env";
+  }
+
+  const entries = Array.isArray(raw.locations) ? raw.locations : [];
+  if (entries.length === 0) {
+    throw new Error("Location registry must contain at least one location.");
+  }
+
+  const locations = entries.map((entry, i) => buildLocation(entry, i, env));
+  const seenKeys = new Set();
+  locations.forEach((location) => {
+    if (seenKeys.has(location.key)) {
+      throw new Error(`Duplicate location key "${location.key}".`);
+    }
+    seenKeys.add(location.key);
+  });
+
+  const defaultKey = raw.defaultLocation || (locations.length === 1 ? locations[0].key : null);
+  if (defaultKey && !locations.some((l) => l.key === defaultKey)) {
+    throw new Error(`defaultLocation "${defaultKey}" is not in the registry.`);
+  }
+
+  console.log(`[INFO] Loaded ${locations.length} location(s) from ${source}: ${locations.map((l) => l.key).join(", ")}`);
+  return createRegistry(locations, defaultKey);
+}
+
+function buildLocation(entry, index, env) {
+  const label = `locations[${index}]`;
+  const key = entry.key || entry.locationId;
+  const apiKey = entry.apiKey || (entry.apiKeyEnv ? env[entry.apiKeyEnv] : undefined);
+
+  if (!key) throw new Error(`${label} needs a "key" or "locationId".`);
+  if (!entry.locationId) throw new Error(`${label} (${key}) is missing "locationId".`);
+  if (!apiKey) throw new Error(`${label} (${key}) has no API key ("apiKey" or "apiKeyEnv").`);
+
+  const timeZone = entry.timeZone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new Error(`${label} (${key}) has an invalid timeZone "${timeZone}".`);
+  }
+
+  const phoneRegion = String(entry.phoneRegion || env.DEFAULT_PHONE_REGION || DEFAULT_PHONE_REGION).toUpperCase();
+  if (!isSupportedCountry(phoneRegion)) {
+    throw new Error(`${label} (${key}) has an unsupported phoneRegion "${phoneRegion}". Use a two-letter country code such as "US".`);
+  }
+
+  let schedule;
+  if (entry.schedule) {
+    schedule = normalizeSchedule(entry.schedule);
+    warnIfDatedHolidaysExpired(schedule, `${label} (${key}) schedule`);
+  } else if (entry.schedulePath) {
+    schedule = normalizeSchedule(JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", entry.schedulePath), "utf8")));
+    warnIfDatedHolidaysExpired(schedule, entry.schedulePath);
+  } else {
+    schedule = loadSchedule(env);
+  }
+
+  let services;
+  if (entry.services) {
+    services = normalizeServiceCatalog(entry.services);
+  } else if (entry.servicesPath) {
+    services = normalizeServiceCatalog(JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", entry.servicesPath), "utf8")));
+  } else {
+    services = loadServiceCatalog(env);
+  }
+
+  let policy;
+  try {
+    if (entry.policy) {
+      policy = normalizeBookingPolicy(entry.policy);
+    } else if (entry.policyPath) {
+      policy = normalizeBookingPolicy(JSON.parse(fs.readFileSync(path.resolve(__dirname, "..", entry.policyPath), "utf8")));
+    } else {
+      policy = loadBookingPolicy(env);
+    }
+  } catch (error) {
+    throw new Error(`${label} (${key}): ${error.message}`);
+  }
+
+  let capacity;
+  try {
+    capacity = normalizeCapacity(entry.capacity);
+  } catch (error) {
+    throw new Error(`${label} (${key}): ${error.message}`);
+  }
+
+  return {
+    key: String(key),
+    name: entry.name || String(key),
+    locationId: entry.locationId,
+    timeZone,
+    slotMinutes: Number(entry.slotMinutes) || DEFAULT_SLOT_MINUTES,
+    schedule,
+    services,
+    policy,
+    capacity,
+    phoneNumbers: (entry.phoneNumbers || []).map(phoneKey),
+    phoneRegion,
+    api: createShopmonkeyClient(apiKey),
+  };
+}
+
+// Compare dialed numbers on their last 10 digits so "+1 (555) 123-0000" and "5551230000" match.
+function phoneKey(phone) {
+  return String(phone || "").replace(/\D/g, "").slice(-10);
+}
+
+function createRegistry(locations, defaultKey) {
+  const byKey = new Map();
+  locations.forEach((location) => {
+    byKey.set(location.key, location);
+  });
+  // Locations are also looked up by locationId, so an ID used twice (or matching another key) would shadow one
+  locations.forEach((location) => {
+    const id = String(location.locationId);
+    const existing = byKey.get(id);
+    if (existing && existing !== location) {
+      throw new Error(`Location "${location.key}" has locationId "${id}", which is already used by location "${existing.key}".`);
+    }
+    byKey.set(id, location);
+  });
+
+  return {
+    locations,
+
+    get(keyOrId) {
+      return byKey.get(String(keyOrId)) || null;
+    },
+
+    findByDialedNumber(dialedNumber) {
+      const target = phoneKey(dialedNumber);
+      if (!target) return null;
+      return locations.find((l) => l.phoneNumbers.includes(target)) || null;
+    },
+
+    getDefault() {
+      return defaultKey ? byKey.get(defaultKey) : null;
+    },
+  };
+}
+
+/**
+ * Express middleware that attaches the location for this request as req.location.
+ * Checked in order: body "location" / "locationId", X-Location-Id header,
+ * dialed number (body "calledNumber" / X-Called-Number header), then the registry default.
+ */
+function locationResolver(registry) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const explicit = body.location || body.locationId || req.get("X-Location-Id");
+    const dialedNumber = body.calledNumber || req.get("X-Called-Number");
+
+    let location = null;
+    if (explicit) {
+      location = registry.get(explicit);
+      if (!location) {
+        return res.status(400).json({
+          success: false,
+          code: "UNKNOWN_LOCATION",
+          message: `Unknown location '${explicit}'.`,
+        });
+      }
+    } else if (dialedNumber) {
+      location = registry.findByDialedNumber(dialedNumber);
+    }
+
+    location = location || registry.getDefault();
+    if (!location) {
+      return res.status(400).json({
+        success: false,
+        code: "UNKNOWN_LOCATION",
+        message: "Could not determine the shop location. Provide 'location', an X-Location-Id header, or a known 'calledNumber'.",
+      });
+    }
+
+    req.location = location;
+    return next();
+  };
+}
+
+module.exports = { loadLocations, locationResolver };
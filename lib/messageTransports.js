@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Where rendered customer messages (lib/messages.js) go.
+ *
+ * A transport is any object with a `name` and `async send(message)`, where message is
+ * { kind, channel: "sms" | "email", to, subject?, text, appointmentId, location }. send() should
+ * throw when the message was not accepted. Chosen with MESSAGE_TRANSPORT:
+ *   console - logs each message (default)
+ *   file    - appends each message to MESSAGE_OUTBOX_FILE (default data/outbox.jsonl)
+ * A Shopmonkey messaging or SMS gateway adapter is added as another entry in TRANSPORT_FACTORIES.
+ */
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, "..", "data", "outbox.jsonl");
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const subject = message.subject ? ` "${message.subject}"` : "";
+      console.log(`[INFO] [${message.channel} -> ${message.to}] ${message.kind}${subject}: ${message.text}`);
+    },
+  };
+}
+
+function createFileTransport(filePath = DEFAULT_OUTBOX_PATH) {
+  let writeChain = Promise.resolve();
+  return {
+    name: "file",
+    send(message) {
+      const line = `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`;
+      // Chained so concurrent sends keep their lines whole; a failed write doesn't block later ones
+      const write = writeChain.then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, line);
+      });
+      writeChain = write.catch(() => {});
+      return write;
+    },
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  console: () => createConsoleTransport(),
+  file: (env) => createFileTransport(path.resolve(env.MESSAGE_OUTBOX_FILE || DEFAULT_OUTBOX_PATH)),
+};
+
+function createMessageTransportFromEnv(env = process.env) {
+  const name = env.MESSAGE_TRANSPORT || "console";
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown MESSAGE_TRANSPORT '${name}'. Use ${Object.keys(TRANSPORT_FACTORIES).join(" or ")}.`);
+  }
+  console.log(`[INFO] Customer messages sent with the ${name} transport`);
+  return factory(env);
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createMessageTransportFromEnv,
+};
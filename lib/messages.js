@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Customer messages (SMS and email) for appointment changes made by the voice agent,
+ * plus the day-before reminder.
+ *
+ * Templates are resolved in this order:
+ *   1. MESSAGE_TEMPLATES_PATH - path to a JSON file
+ *   2. config/messages.json
+ *   3. DEFAULT_TEMPLATES below
+ *
+ * Shape: one entry per kind, each with an "sms" text and/or an "email" { subject, body }.
+ * Placeholders are {{name}}; the available ones are listed in TEMPLATE_VARIABLES.
+ * {
+ *   "confirmation": { "sms": "Hi {{firstName}}, ...", "email": { "subject": "...", "body": "..." } }
+ * }
+ */
+
+const MESSAGE_KINDS = ["confirmation", "reschedule", "cancellation", "reminder"];
+
+const TEMPLATE_VARIABLES = [
+  "firstName",
+  "customerName",
+  "shopName",
+  "time", // shop-local, as formatToShopTime prints it
+  "previousTime", // reschedule only
+  "vehicle",
+  "service",
+  "reason", // cancellation only; empty when none was given
+];
+
+const DEFAULT_TEMPLATES = {
+  confirmation: {
+    sms: "Hi {{firstName}}, your {{service}} for the {{vehicle}} at {{shopName}} is booked for {{time}}.",
+  },
+  reschedule: {
+    sms: "Hi {{firstName}}, your {{service}} at {{shopName}} moved from {{previousTime}} to {{time}}.",
+  },
+  cancellation: {
+    sms: "Hi {{firstName}}, your {{service}} at {{shopName}} on {{time}} has been canceled.",
+  },
+  reminder: {
+    sms: "Reminder from {{shopName}}: your {{service}} for the {{vehicle}} is tomorrow, {{time}}.",
+  },
+};
+
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, "..", "config", "messages.json");
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function loadMessageTemplates(env = process.env) {
+  let raw = DEFAULT_TEMPLATES;
+  let source = "built-in default";
+
+  if (env.MESSAGE_TEMPLATES_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.MESSAGE_TEMPLATES_PATH, "utf8"));
+    source = env.MESSAGE_TEMPLATES_PATH;
+  } else if (fs.existsSync(DEFAULT_TEMPLATES_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_TEMPLATES_PATH, "utf8"));
+    source = DEFAULT_TEMPLATES_PATH;
+  }
+
+  const templates = normalizeMessageTemplates(raw);
+  console.log(`[INFO] Loaded message templates from ${source}`);
+  return templates;
+}
+
+function checkPlaceholders(text, label) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error(`${label} must be a non-empty string.`);
+  }
+  for (const [, name] of text.matchAll(PLACEHOLDER)) {
+    if (!TEMPLATE_VARIABLES.includes(name)) {
+      throw new Error(`${label} uses unknown placeholder {{${name}}}. Available: ${TEMPLATE_VARIABLES.join(", ")}.`);
+    }
+  }
+}
+
+/**
+ * Validates every template and its placeholders. Kinds left out use DEFAULT_TEMPLATES.
+ */
+function normalizeMessageTemplates(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Message templates must be a JSON object.");
+  }
+
+  const unknownKinds = Object.keys(raw).filter((kind) => !MESSAGE_KINDS.includes(kind));
+  if (unknownKinds.length > 0) {
+    throw new Error(`Unknown message kind(s) ${unknownKinds.join(", ")}. Use ${MESSAGE_KINDS.join(", ")}.`);
+  }
+
+  const templates = {};
+  MESSAGE_KINDS.forEach((kind) => {
+    const entry = raw[kind] || DEFAULT_TEMPLATES[kind];
+    if (!entry.sms && !entry.email) {
+      throw new Error(`${kind} needs an "sms" and/or "email" template.`);
+    }
+    if (entry.sms) checkPlaceholders(entry.sms, `${kind}.sms`);
+    if (entry.email) {
+      checkPlaceholders(entry.email.subject, `${kind}.email.subject`);
+      checkPlaceholders(entry.email.body, `${kind}.email.body`);
+    }
+    templates[kind] = { sms: entry.sms || null, email: entry.email || null };
+  });
+  return templates;
+}
+
+function fill(text, variables) {
+  return text
+    .replace(PLACEHOLDER, (match, name) => (variables[name] === undefined || variables[name] === null ? "" : String(variables[name])))
+    .replace(/ {2,}/g, " ")
+    .trim();
+}
+
+/**
+ * Rendered messages for one kind, one per channel the recipient can be reached on:
+ * [{ kind, channel: "sms", to, text }, { kind, channel: "email", to, subject, text }].
+ */
+function renderMessages(templates, kind, variables, recipient = {}) {
+  const template = templates[kind];
+  if (!template) throw new Error(`Unknown message kind '${kind}'.`);
+
+  const messages = [];
+  if (template.sms && recipient.phone) {
+    messages.push({ kind, channel: "sms", to: recipient.phone, text: fill(template.sms, variables) });
+  }
+  if (template.email && recipient.email) {
+    messages.push({
+      kind,
+      channel: "email",
+      to: recipient.email,
+      subject: fill(template.email.subject, variables),
+      text: fill(template.email.body, variables),
+    });
+  }
+  return messages;
+}
+
+module.exports = {
+  MESSAGE_KINDS,
+  TEMPLATE_VARIABLES,
+  loadMessageTemplates,
+  normalizeMessageTemplates,
+  renderMessages,
+};
@@ -0,0 +1,171 @@
+const { formatInTimeZone } = require("date-fns-tz");
+
+/**
+ * Repair orders and estimates as the caller hears them ("is my car ready?").
+ *
+ * Shopmonkey keeps amounts in cents (totalCostCents, paidCostCents, remainingCostCents) and the
+ * shop's own board column in workflowStatusId; names for those IDs come from /workflow_status.
+ * An order is open until it is archived or invoiced and fully paid.
+ *
+ * Each order has services (GET /order/:id/service), each approved or declined by the customer
+ * through its authorizationStatus: "Pending", "Authorized" or "Declined".
+ */
+
+const ORDER_STAGES = {
+  Estimate: "an estimate",
+  RepairOrder: "a repair order",
+  Invoice: "invoiced",
+};
+
+const SERVICE_AUTHORIZATION = {
+  PENDING: "Pending",
+  AUTHORIZED: "Authorized",
+  DECLINED: "Declined",
+};
+
+// Line item collections on a Shopmonkey service, with the word the agent uses for each.
+const LINE_ITEM_TYPES = {
+  labors: "labor",
+  parts: "part",
+  tires: "tire",
+  fees: "fee",
+  subcontracts: "subcontract",
+};
+
+function centsToDollars(cents) {
+  const value = Number(cents);
+  return Number.isFinite(value) ? Math.round(value) / 100 : null;
+}
+
+function formatMoney(dollars) {
+  return `$${dollars.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * { total, paidAmount, balanceDue, paid } in dollars. Falls back to total - paid when
+ * Shopmonkey leaves remainingCostCents out.
+ */
+function orderAmounts(order) {
+  const total = centsToDollars(order.totalCostCents) || 0;
+  const paidAmount = centsToDollars(order.paidCostCents) || 0;
+  const remaining = centsToDollars(order.remainingCostCents);
+  const balanceDue = Math.max(0, remaining === null ? Math.round((total - paidAmount) * 100) / 100 : remaining);
+  const paid = order.paid === true || (total > 0 && balanceDue === 0);
+  return { total, paidAmount, balanceDue, paid };
+}
+
+function isOpenOrder(order) {
+  if (order.archived) return false;
+  return !(order.status === "Invoice" && orderAmounts(order).paid);
+}
+
+// Invoices are finished work; only open estimates and repair orders still take approvals
+function acceptsApprovals(order) {
+  return isOpenOrder(order) && order.status !== "Invoice";
+}
+
+/**
+ * Caller-facing summary of one order. `workflowStatuses` maps workflowStatusId to its name.
+ */
+function describeOrder(order, timeZone, workflowStatuses = {}) {
+  const amounts = orderAmounts(order);
+  const vehicle = (order.generatedVehicleName || "").trim() || "your vehicle";
+  const workflowStatus = (order.workflowStatus && order.workflowStatus.name) || workflowStatuses[order.workflowStatusId] || null;
+  const authorized = Boolean(order.authorized || order.authorizedDate);
+  const promisedDate = order.dueDate || null;
+
+  const stage = ORDER_STAGES[order.status] || (order.status ? String(order.status).toLowerCase() : "open");
+  const sentences = [
+    `${order.number ? `Order number ${order.number}` : "The order"} for ${vehicle} is ${stage}${workflowStatus ? `, currently ${workflowStatus}` : ""}.`,
+  ];
+
+  if (authorized) {
+    const when = order.authorizedDate ? ` on ${formatInTimeZone(new Date(order.authorizedDate), timeZone, "EEEE, MMMM d")}` : "";
+    sentences.push(`The work was approved${when}.`);
+  } else {
+    sentences.push("The work is waiting for the customer's approval.");
+  }
+
+  const promisedReadable = promisedDate ? formatInTimeZone(new Date(promisedDate), timeZone, "EEEE, MMMM d 'at' h:mm a") : null;
+  if (promisedReadable) sentences.push(`It is promised for ${promisedReadable}.`);
+
+  if (amounts.paid) {
+    sentences.push(`The total of ${formatMoney(amounts.total)} is paid in full.`);
+  } else if (amounts.total > 0) {
+    sentences.push(`The total is ${formatMoney(amounts.total)} with ${formatMoney(amounts.balanceDue)} still due.`);
+  }
+
+  return {
+    id: order.id,
+    number: order.number || null,
+    vehicle,
+    vehicleId: order.vehicleId || null,
+    stage: order.status || null,
+    workflowStatus,
+    authorized,
+    authorizedDate: order.authorizedDate || null,
+    promisedDate,
+    promisedReadable,
+    total: amounts.total,
+    balanceDue: amounts.balanceDue,
+    paid: amounts.paid,
+    readable: sentences.join(" "),
+  };
+}
+
+/**
+ * A service's authorization as one of SERVICE_AUTHORIZATION. Older records only carry the
+ * `authorized` flag, which can't tell declined from not-yet-asked.
+ */
+function serviceAuthorization(service) {
+  const status = Object.values(SERVICE_AUTHORIZATION).find(
+    (value) => value.toLowerCase() === String(service.authorizationStatus || "").toLowerCase()
+  );
+  if (status) return status;
+  return service.authorized ? SERVICE_AUTHORIZATION.AUTHORIZED : SERVICE_AUTHORIZATION.PENDING;
+}
+
+function serviceTotal(service) {
+  return centsToDollars(service.totalCostCents) || 0;
+}
+
+/**
+ * Caller-facing summary of one service and its line items.
+ */
+function describeService(service) {
+  const lineItems = [];
+  Object.keys(LINE_ITEM_TYPES).forEach((collection) => {
+    (service[collection] || []).forEach((item) => {
+      lineItems.push({
+        type: LINE_ITEM_TYPES[collection],
+        name: item.name || LINE_ITEM_TYPES[collection],
+        quantity: item.quantity || item.hours || 1,
+        total: centsToDollars(item.totalCostCents) || 0,
+      });
+    });
+  });
+
+  const status = serviceAuthorization(service);
+  const total = serviceTotal(service);
+  const items = lineItems.map((item) => item.name).join(", ");
+  return {
+    id: service.id,
+    name: service.name || "Service",
+    status,
+    total,
+    lineItems,
+    readable: `${service.name || "Service"} for ${formatMoney(total)}${items ? ` (${items})` : ""}, ${status.toLowerCase()}.`,
+  };
+}
+
+module.exports = {
+  SERVICE_AUTHORIZATION,
+  formatMoney,
+  orderAmounts,
+  isOpenOrder,
+  acceptsApprovals,
+  describeOrder,
+  serviceAuthorization,
+  serviceTotal,
+  describeService,
+};
@@ -0,0 +1,58 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+
+/**
+ * Phone number parsing for caller-supplied numbers.
+ *
+ * Numbers without a country code are read in the location's region (location.phoneRegion,
+ * default DEFAULT_PHONE_REGION or "US"). Extensions ("x23", "ext. 23") are stripped: Shopmonkey
+ * customers are looked up by the main number. Anything that isn't a valid number for its
+ * country is rejected with INVALID_PHONE before Shopmonkey is called.
+ */
+
+class InvalidPhoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidPhoneError";
+    this.code = "INVALID_PHONE";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Returns { e164, extension, country } or throws InvalidPhoneError.
+ */
+function parsePhone(input, defaultRegion = "US") {
+  const text = input === undefined || input === null ? "" : String(input).trim();
+  // "001 ..." / "011 ..." international prefixes are spoken as often as "+"
+  const normalized = text.replace(/^(00|011)(?=[1-9])/, "+");
+  const parsed = normalized ? parsePhoneNumberFromString(normalized, defaultRegion) : null;
+
+  if (!parsed || !parsed.isValid()) {
+    throw new InvalidPhoneError(
+      `'${text}' is not a valid phone number. Include the country code for numbers outside ${defaultRegion}.`
+    );
+  }
+
+  return { e164: parsed.number, extension: parsed.ext || null, country: parsed.country || null };
+}
+
+/**
+ * Express middleware: rejects a request whose body has an invalid "phone" with 400 INVALID_PHONE.
+ * Runs after locationResolver so the location's region applies. Missing phones are left to the routes.
+ */
+function phoneValidator() {
+  return (req, res, next) => {
+    const phone = req.body && req.body.phone;
+    if (phone === undefined || phone === null || phone === "") return next();
+
+    try {
+      parsePhone(phone, req.location.phoneRegion);
+      return next();
+    } catch (error) {
+      console.log(`[WARN] Rejected phone '${phone}' on ${req.path}: ${error.message}`);
+      return res.status(400).json({ success: false, code: error.code, message: `Client error: ${error.message}` });
+    }
+  };
+}
+
+module.exports = { InvalidPhoneError, parsePhone, phoneValidator };
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const { fromZonedTime } = require("date-fns-tz");
+const { getShopDateString } = require("./schedule");
+
+/**
+ * Day-before appointment reminders.
+ *
+ * A reminder is queued per appointment for REMINDER_SEND_TIME (default "10:00") shop-local on the
+ * day before it. Queuing the same appointment again replaces its reminder when the start time
+ * changed and is a no-op otherwise, so bookings, reschedules and the periodic sweep can all queue freely.
+ * Appointments whose reminder time has already passed get none; the booking confirmation covers them.
+ *
+ * The queue is persisted to data/reminders.json (REMINDER_QUEUE_FILE). When a reminder is due the
+ * scheduler calls deliver(reminder), which resolves to "sent" or "skipped" (appointment canceled or
+ * moved) or throws to be retried on the next poll, up to MAX_ATTEMPTS.
+ */
+
+const DEFAULT_QUEUE_PATH = path.join(__dirname, "..", "data", "reminders.json");
+const POLL_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+function parseReminderTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Reminder send time must be "HH:mm"; got '${value}'.`);
+  }
+  return value;
+}
+
+/**
+ * When the reminder for an appointment starting at `start` goes out: reminderTime, shop-local,
+ * on the day before.
+ */
+function getReminderSendTime(start, timeZone, reminderTime) {
+  const dayBefore = new Date(`${getShopDateString(start, timeZone)}T12:00:00Z`);
+  dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+  return fromZonedTime(`${dayBefore.toISOString().slice(0, 10)}T${reminderTime}:00`, timeZone);
+}
+
+function createReminderScheduler(options) {
+  const {
+    deliver,
+    reminderTime = "10:00",
+    queueFile = DEFAULT_QUEUE_PATH,
+    now = () => Date.now(),
+  } = options;
+  parseReminderTime(reminderTime);
+
+  let reminders = {};
+  if (fs.existsSync(queueFile)) {
+    try {
+      reminders = JSON.parse(fs.readFileSync(queueFile, "utf8")).reminders || {};
+    } catch (error) {
+      console.error(`[ERROR] Could not read reminder queue ${queueFile}, starting empty:`, error.message);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+  function persist() {
+    const snapshot = JSON.stringify({ reminders });
+    writeChain = writeChain.then(async () => {
+      const tmpPath = `${queueFile}.tmp`;
+      await fs.promises.mkdir(path.dirname(queueFile), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, queueFile);
+    }).catch((error) => {
+      console.error(`[ERROR] Could not write reminder queue ${queueFile}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Queues (or re-queues) the reminder for an appointment. Returns the reminder, or null when
+   * its send time has already passed.
+   */
+  function schedule(location, appointment) {
+    const key = `${location.key}:${appointment.id}`;
+    const start = new Date(appointment.startDate);
+    const sendAt = getReminderSendTime(start, location.timeZone, reminderTime);
+    const existing = reminders[key];
+
+    if (sendAt.getTime() <= now()) {
+      if (existing) {
+        delete reminders[key];
+        persist();
+      }
+      return null;
+    }
+    if (existing && existing.startDate === start.toISOString()) return existing;
+
+    reminders[key] = {
+      key,
+      locationKey: location.key,
+      appointmentId: appointment.id,
+      startDate: start.toISOString(),
+      sendAt: sendAt.toISOString(),
+      attempts: 0,
+    };
+    persist();
+    return reminders[key];
+  }
+
+  function cancel(locationKey, appointmentId) {
+    const key = `${locationKey}:${appointmentId}`;
+    if (!reminders[key]) return false;
+    delete reminders[key];
+    persist();
+    return true;
+  }
+
+  let running = null;
+
+  /**
+   * Delivers every reminder that is due. Concurrent calls share one run.
+   */
+  function runDue() {
+    if (running) return running;
+
+    running = (async () => {
+      const due = Object.values(reminders).filter((reminder) => Date.parse(reminder.sendAt) <= now());
+      for (const reminder of due) {
+        try {
+          const result = await deliver(reminder);
+          console.log(`[INFO] Reminder for appointment ${reminder.appointmentId}: ${result}`);
+          delete reminders[reminder.key];
+        } catch (error) {
+          reminder.attempts += 1;
+          if (reminder.attempts >= MAX_ATTEMPTS) {
+            console.error(`[ERROR] Reminder for appointment ${reminder.appointmentId} dropped after ${reminder.attempts} attempts:`, error.message);
+            delete reminders[reminder.key];
+          } else {
+            console.warn(`[WARN] Reminder for appointment ${reminder.appointmentId} failed (${error.message}); retrying on the next poll`);
+          }
+        }
+      }
+      if (due.length > 0) await persist();
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  let timer = null;
+
+  return {
+    schedule,
+    cancel,
+    runDue,
+
+    /** Checks for due reminders every minute. The timer doesn't keep the process alive. */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => {
+        runDue().catch((error) => console.error("[ERROR] Reminder run failed:", error.message));
+      }, POLL_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    stats() {
+      return { queued: Object.keys(reminders).length };
+    },
+  };
+}
+
+function createReminderSchedulerFromEnv(deliver, env = process.env) {
+  return createReminderScheduler({
+    deliver,
+    reminderTime: env.REMINDER_SEND_TIME || "10:00",
+    queueFile: path.resolve(env.REMINDER_QUEUE_FILE || DEFAULT_QUEUE_PATH),
+  });
+}
+
+module.exports = {
+  getReminderSendTime,
+  createReminderScheduler,
+  createReminderSchedulerFromEnv,
+};
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { fromZonedTime, formatInTimeZone } = require("date-fns-tz");
+
+/**
+ * Shop business-hours calendar.
+ *
+ * The schedule is resolved in this order:
+ *   1. SHOP_SCHEDULE_JSON  - inline JSON in the environment
+ *   2. SHOP_SCHEDULE_PATH  - path to a JSON file
+ *   3. config/schedule.json
+ *   4. DEFAULT_SCHEDULE below (the original Mon-Fri 8:00-16:30, Sat 9:00-11:00 hours)
+ *
+ * Shape:
+ * {
+ *   "weekly": { "mon": { "open": "08:00", "close": "16:30", "breaks": [{ "start": "12:00", "end": "12:30" }] }, "sun": null, ... },
+ *   "holidays": [{ "date": "2025-11-27", "name": "Thanksgiving" }, { "date": "12-25", "name": "Christmas" }],
+ *   "closures": [{ "from": "2025-12-24", "to": "2025-12-26", "reason": "Winter break" }],
+ *   "exceptions": [{ "date": "2025-12-23", "open": "07:00", "close": "18:00" }, { "date": "2025-12-31", "closed": true }]
+ * }
+ *
+ * All times are shop-local wall-clock times. Holidays may use "MM-DD" to recur every year;
+ * ones that move (Thanksgiving, Memorial Day) need a "YYYY-MM-DD" entry per year, kept up to date.
+ * Exceptions take precedence over holidays and closures, which take precedence over weekly hours.
+ */
+
+const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DEFAULT_SCHEDULE = {
+  weekly: {
+    sun: null,
+    mon: { open: "08:00", close: "16:30" },
+    tue: { open: "08:00", close: "16:30" },
+    wed: { open: "08:00", close: "16:30" },
+    thu: { open: "08:00", close: "16:30" },
+    fri: { open: "08:00", close: "16:30" },
+    sat: { open: "09:00", close: "11:00" },
+  },
+  holidays: [],
+  closures: [],
+  exceptions: [],
+};
+
+const DEFAULT_SCHEDULE_PATH = path.join(__dirname, "..", "config", "schedule.json");
+
+// Reason codes returned to the voice agent when a time is rejected.
+const SCHEDULE_CODES = {
+  HOLIDAY: "HOLIDAY",
+  SHOP_CLOSED: "SHOP_CLOSED",
+  OUTSIDE_BUSINESS_HOURS: "OUTSIDE_BUSINESS_HOURS",
+  DURING_BREAK: "DURING_BREAK",
+};
+
+function loadSchedule(env = process.env) {
+  let raw = DEFAULT_SCHEDULE;
+  let source = "built-in default";
+
+  if (env.SHOP_SCHEDULE_JSON) {
+    raw = JSON.parse(env.SHOP_SCHEDULE_JSON);
+    source = "SHOP_SCHEDULE_JSON";
+  } else if (env.SHOP_SCHEDULE_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.SHOP_SCHEDULE_PATH, "utf8"));
+    source = env.SHOP_SCHEDULE_PATH;
+  } else if (fs.existsSync(DEFAULT_SCHEDULE_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_SCHEDULE_PATH, "utf8"));
+    source = DEFAULT_SCHEDULE_PATH;
+  }
+
+  const schedule = normalizeSchedule(raw);
+  console.log(`[INFO] Loaded shop schedule from ${source}`);
+  warnIfDatedHolidaysExpired(schedule, source);
+  return schedule;
+}
+
+/**
+ * Holidays that move each year (Thanksgiving, Memorial Day) are listed with full dates and must
+ * be extended every year. Warns at startup once none of them are still ahead.
+ */
+function warnIfDatedHolidaysExpired(schedule, source, now = new Date()) {
+  const dated = schedule.holidays.filter((h) => isDateString(h.date)).map((h) => h.date).sort();
+  if (dated.length === 0) return;
+  const latest = dated[dated.length - 1];
+  if (latest < now.toISOString().slice(0, 10)) {
+    console.warn(`[WARN] The last dated holiday in ${source} is ${latest}. Add this year's dates, or those holidays will be bookable.`);
+  }
+}
+
+/**
+ * Validates a raw schedule object and converts all "HH:mm" strings to minutes-of-day.
+ * Throws on malformed input so a bad config fails at startup rather than mid-call.
+ */
+function normalizeSchedule(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Schedule config must be a JSON object.");
+  }
+
+  const weekly = {};
+  DAY_KEYS.forEach((key) => {
+    const entry = raw.weekly ? raw.weekly[key] : DEFAULT_SCHEDULE.weekly[key];
+    weekly[key] = entry ? normalizeHours(entry, `weekly.${key}`) : null;
+  });
+
+  const holidays = (raw.holidays || []).map((h, i) => {
+    if (!h.date || !/^(\d{4}-)?\d{2}-\d{2}$/.test(h.date)) {
+      throw new Error(`holidays[${i}].date must be "YYYY-MM-DD" or "MM-DD".`);
+    }
+    return { date: h.date, name: h.name || "Holiday" };
+  });
+
+  const closures = (raw.closures || []).map((c, i) => {
+    if (!isDateString(c.from) || !isDateString(c.to || c.from)) {
+      throw new Error(`closures[${i}] must have "from" (and optional "to") as "YYYY-MM-DD".`);
+    }
+    return { from: c.from, to: c.to || c.from, reason: c.reason || "Closed" };
+  });
+
+  const exceptions = (raw.exceptions || []).map((e, i) => {
+    if (!isDateString(e.date)) {
+      throw new Error(`exceptions[${i}].date must be "YYYY-MM-DD".`);
+    }
+    if (e.closed) {
+      return { date: e.date, closed: true, reason: e.reason || "Closed" };
+    }
+    return { date: e.date, closed: false, ...normalizeHours(e, `exceptions[${i}]`) };
+  });
+
+  return { weekly, holidays, closures, exceptions };
+}
+
+function normalizeHours(entry, label) {
+  const open = parseClock(entry.open, `${label}.open`);
+  const close = parseClock(entry.close, `${label}.close`);
+  if (close <= open) {
+    throw new Error(`${label}: close must be after open.`);
+  }
+
+  const breaks = (entry.breaks || []).map((b, i) => {
+    const start = parseClock(b.start, `${label}.breaks[${i}].start`);
+    const end = parseClock(b.end, `${label}.breaks[${i}].end`);
+    if (end <= start) {
+      throw new Error(`${label}.breaks[${i}]: end must be after start.`);
+    }
+    return { start, end, label: b.label || "Lunch break" };
+  });
+
+  return { open, close, breaks };
+}
+
+function parseClock(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`${label} must be a "HH:mm" time.`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function isDateString(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Returns the shop-local calendar date ("YYYY-MM-DD") that a UTC instant falls on.
+ */
+function getShopDateString(utcDate, timeZone) {
+  return formatInTimeZone(utcDate, timeZone, "yyyy-MM-dd");
+}
+
+/**
+ * Resolves the hours for one shop-local date, applying exceptions, holidays and closures.
+ * Returns { date, isOpen, code, message, hours } where hours is { open, close, breaks } in minutes-of-day.
+ */
+function getShopDay(schedule, dateString) {
+  const exception = schedule.exceptions.find((e) => e.date === dateString);
+  if (exception) {
+    if (exception.closed) {
+      return closedDay(dateString, SCHEDULE_CODES.SHOP_CLOSED, `The shop is closed on ${dateString} (${exception.reason}).`);
+    }
+    return { date: dateString, isOpen: true, code: null, message: null, hours: exception };
+  }
+
+  const holiday = schedule.holidays.find((h) => h.date === dateString || h.date === dateString.slice(5));
+  if (holiday) {
+    return closedDay(dateString, SCHEDULE_CODES.HOLIDAY, `The shop is closed on ${dateString} for ${holiday.name}.`);
+  }
+
+  const closure = schedule.closures.find((c) => dateString >= c.from && dateString <= c.to);
+  if (closure) {
+    return closedDay(dateString, SCHEDULE_CODES.SHOP_CLOSED, `The shop is closed on ${dateString} (${closure.reason}).`);
+  }
+
+  // Noon UTC keeps the weekday stable regardless of host timezone.
+  const weekday = new Date(`${dateString}T12:00:00Z`).getUTCDay();
+  const hours = schedule.weekly[DAY_KEYS[weekday]];
+  if (!hours) {
+    return closedDay(dateString, SCHEDULE_CODES.SHOP_CLOSED, `The shop is closed on ${DAY_NAMES[weekday]}s.`);
+  }
+
+  return { date: dateString, isOpen: true, code: null, message: null, hours };
+}
+
+function closedDay(dateString, code, message) {
+  return { date: dateString, isOpen: false, code, message, hours: null };
+}
+
+/**
+ * Converts a shop day's hours into bookable UTC intervals, with breaks cut out.
+ */
+function getOpenIntervals(schedule, dateString, timeZone) {
+  const shopDay = getShopDay(schedule, dateString);
+  if (!shopDay.isOpen) return [];
+
+  const { open, close, breaks } = shopDay.hours;
+  const sortedBreaks = [...breaks].sort((a, b) => a.start - b.start);
+
+  const windows = [];
+  let cursor = open;
+  sortedBreaks.forEach((b) => {
+    if (b.start > cursor) windows.push([cursor, Math.min(b.start, close)]);
+    cursor = Math.max(cursor, b.end);
+  });
+  if (cursor < close) windows.push([cursor, close]);
+
+  return windows.map(([startMinutes, endMinutes]) => ({
+    start: shopMinutesToUtc(dateString, startMinutes, timeZone),
+    end: shopMinutesToUtc(dateString, endMinutes, timeZone),
+  }));
+}
+
+function shopMinutesToUtc(dateString, minutes, timeZone) {
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+  if (minutes >= 24 * 60) {
+    // "24:00" close: midnight at the end of the day
+    const nextDay = new Date(`${dateString}T12:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    return fromZonedTime(`${nextDay.toISOString().slice(0, 10)}T00:00:00`, timeZone);
+  }
+  return fromZonedTime(`${dateString}T${hh}:${mm}:00`, timeZone);
+}
+
+function formatClock(minutes) {
+  const hour24 = Math.floor(minutes / 60) % 24;
+  const minute = String(minutes % 60).padStart(2, "0");
+  const suffix = hour24 >= 12 ? "PM" : "AM";
+  const hour12 = hour24 % 12 === 0 ? 12 : hour24 % 12;
+  return `${hour12}:${minute} ${suffix}`;
+}
+
+/**
+ * Checks that the whole appointment [start, end) sits inside the shop's open hours.
+ * Returns { ok: true } or { ok: false, code, message }.
+ */
+function checkBusinessHours(schedule, start, end, timeZone) {
+  const dateString = getShopDateString(start, timeZone);
+  const shopDay = getShopDay(schedule, dateString);
+
+  if (!shopDay.isOpen) {
+    return { ok: false, code: shopDay.code, message: shopDay.message };
+  }
+
+  const intervals = getOpenIntervals(schedule, dateString, timeZone);
+  const fits = intervals.some((interval) => start >= interval.start && end <= interval.end);
+  if (fits) return { ok: true };
+
+  const { open, close, breaks } = shopDay.hours;
+  const dayOpen = shopMinutesToUtc(dateString, open, timeZone);
+  const dayClose = shopMinutesToUtc(dateString, close, timeZone);
+  const hoursText = `${formatClock(open)} to ${formatClock(close)}`;
+
+  if (start >= dayOpen && end <= dayClose && breaks.length > 0) {
+    return {
+      ok: false,
+      code: SCHEDULE_CODES.DURING_BREAK,
+      message: `The requested time overlaps the shop's break. Open hours on ${dateString} are ${hoursText}.`,
+    };
+  }
+
+  return {
+    ok: false,
+    code: SCHEDULE_CODES.OUTSIDE_BUSINESS_HOURS,
+    message: `The requested time is outside business hours. Open hours on ${dateString} are ${hoursText}.`,
+  };
+}
+
+module.exports = {
+  SCHEDULE_CODES,
+  loadSchedule,
+  normalizeSchedule,
+  warnIfDatedHolidaysExpired,
+  getShopDateString,
+  getShopDay,
+  getOpenIntervals,
+  checkBusinessHours,
+};
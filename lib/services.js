@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+const { isFuzzyMatch } = require("./fuzzyMatch");
+
+/**
+ * Service catalog: maps a booking title or service code to how long the job blocks the calendar.
+ *
+ * The catalog is resolved in this order:
+ *   1. SERVICES_JSON  - inline JSON in the environment
+ *   2. SERVICES_PATH  - path to a JSON file
+ *   3. config/services.json
+ *   4. An empty catalog (every booking uses defaultDurationMinutes)
+ *
+ * Shape:
+ * {
+ *   "defaultDurationMinutes": 30,
+ *   "services": [{ "code": "BRAKES", "name": "Brake Job", "durationMinutes": 120, "aliases": ["brakes", "brake pads"] }]
+ * }
+ */
+
+const DEFAULT_SERVICES_PATH = path.join(__dirname, "..", "config", "services.json");
+
+function loadServiceCatalog(env = process.env) {
+  let raw = { services: [] };
+  let source = "built-in default";
+
+  if (env.SERVICES_JSON) {
+    raw = JSON.parse(env.SERVICES_JSON);
+    source = "SERVICES_JSON";
+  } else if (env.SERVICES_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.SERVICES_PATH, "utf8"));
+    source = env.SERVICES_PATH;
+  } else if (fs.existsSync(DEFAULT_SERVICES_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_SERVICES_PATH, "utf8"));
+    source = DEFAULT_SERVICES_PATH;
+  }
+
+  const catalog = normalizeServiceCatalog(raw);
+  console.log(`[INFO] Loaded ${catalog.services.length} service(s) from ${source}`);
+  return catalog;
+}
+
+function normalizeServiceCatalog(raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Service catalog must be a JSON object.");
+  }
+
+  const defaultDurationMinutes = raw.defaultDurationMinutes === undefined ? null : Number(raw.defaultDurationMinutes);
+  if (defaultDurationMinutes !== null && !(defaultDurationMinutes > 0)) {
+    throw new Error("defaultDurationMinutes must be a positive number.");
+  }
+
+  const seenCodes = new Set();
+  const services = (raw.services || []).map((service, i) => {
+    const label = `services[${i}]`;
+    if (!service.code || !service.name) {
+      throw new Error(`${label} needs a "code" and a "name".`);
+    }
+    const durationMinutes = Number(service.durationMinutes);
+    if (!(durationMinutes > 0)) {
+      throw new Error(`${label} (${service.code}) needs a positive "durationMinutes".`);
+    }
+    const code = String(service.code).toUpperCase();
+    if (seenCodes.has(code)) {
+      throw new Error(`Duplicate service code "${code}".`);
+    }
+    seenCodes.add(code);
+
+    return {
+      code,
+      name: service.name,
+      durationMinutes,
+      aliases: (service.aliases || []).map((a) => a.toLowerCase().trim()),
+    };
+  });
+
+  return { defaultDurationMinutes, services };
+}
+
+/**
+ * Finds the catalog service for a booking.
+ * An explicit serviceCode must match exactly; a free-text title is matched by name/alias,
+ * then by containment ("oil change and rotation" -> Oil Change), then by isFuzzyMatch.
+ *
+ * Returns { code, name, durationMinutes, matchedBy } or null for an unknown serviceCode.
+ * Unmatched titles fall back to the default duration with code null.
+ */
+function resolveService(catalog, { title, serviceCode }, fallbackDurationMinutes) {
+  const defaultDuration = catalog.defaultDurationMinutes || fallbackDurationMinutes;
+
+  if (serviceCode) {
+    const service = catalog.services.find((s) => s.code === String(serviceCode).toUpperCase().trim());
+    return service ? toMatch(service, "code") : null;
+  }
+
+  const text = (title || "").toLowerCase().trim();
+  if (text) {
+    const labelsOf = (s) => [s.name.toLowerCase(), ...s.aliases];
+
+    const exact = catalog.services.find((s) => labelsOf(s).includes(text));
+    if (exact) return toMatch(exact, "name");
+
+    // Whole-word containment; prefer the longest label so "brake pad replacement" beats "brake"
+    const paddedText = ` ${toWords(text)} `;
+    let best = null;
+    catalog.services.forEach((s) => {
+      labelsOf(s).forEach((label) => {
+        if (paddedText.includes(` ${toWords(label)} `) && (!best || label.length > best.label.length)) {
+          best = { service: s, label };
+        }
+      });
+    });
+    if (best) return toMatch(best.service, "contains");
+
+    const fuzzy = catalog.services.find((s) => labelsOf(s).some((label) => isFuzzyMatch(label, text)));
+    if (fuzzy) return toMatch(fuzzy, "fuzzy");
+  }
+
+  return { code: null, name: title || null, durationMinutes: defaultDuration, matchedBy: "default" };
+}
+
+function toWords(text) {
+  return text.replace(/[^a-z0-9/]+/g, " ").trim();
+}
+
+function toMatch(service, matchedBy) {
+  return { code: service.code, name: service.name, durationMinutes: service.durationMinutes, matchedBy };
+}
+
+module.exports = { loadServiceCatalog, normalizeServiceCatalog, resolveService };
@@ -0,0 +1,199 @@
+const axios = require("axios");
+
+const SHOPMONKEY_BASE_URL = "https://api.shopmonkey.cloud/v3";
+
+/**
+ * Resilient Shopmonkey client.
+ *
+ * Every location gets its own axios instance with:
+ *   - a per-call timeout (SHOPMONKEY_TIMEOUT_MS, default 8s)
+ *   - retries with exponential backoff and full jitter (SHOPMONKEY_MAX_RETRIES, default 2),
+ *     honoring Retry-After. Idempotent calls (GET/PUT/DELETE and POST .../search) retry on
+ *     429, 5xx, timeouts and network errors; other POSTs retry only when the request provably
+ *     never reached Shopmonkey (429 or connection refused).
+ *   - a circuit breaker (SHOPMONKEY_BREAKER_THRESHOLD consecutive failures opens it for
+ *     SHOPMONKEY_BREAKER_COOLDOWN_MS) that fails fast with UpstreamUnavailableError.
+ *
+ * When Shopmonkey is down, callers get UpstreamUnavailableError (code UPSTREAM_UNAVAILABLE, HTTP 503)
+ * so the voice agent can say "please hold / we'll call you back" instead of going silent.
+ */
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: Number(process.env.SHOPMONKEY_TIMEOUT_MS) || 8000,
+  maxRetries: process.env.SHOPMONKEY_MAX_RETRIES !== undefined ? Number(process.env.SHOPMONKEY_MAX_RETRIES) : 2,
+  baseDelayMs: 250,
+  maxDelayMs: 3000,
+  breakerThreshold: Number(process.env.SHOPMONKEY_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs: Number(process.env.SHOPMONKEY_BREAKER_COOLDOWN_MS) || 30000,
+};
+
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const NEVER_SENT_CODES = new Set(["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]);
+
+class UpstreamUnavailableError extends Error {
+  constructor(message, { retryAfterSeconds = null, cause = null } = {}) {
+    super(message);
+    this.name = "UpstreamUnavailableError";
+    this.code = "UPSTREAM_UNAVAILABLE";
+    this.statusCode = 503;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker: closed -> open after `threshold` failures,
+ * open -> half-open after `cooldownMs`, where a single probe decides whether to close again.
+ */
+function createCircuitBreaker({ threshold, cooldownMs }) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+
+  return {
+    /**
+     * Returns null if the call may proceed, or the seconds until the breaker retries.
+     */
+    check() {
+      if (state === "closed") return null;
+      const elapsed = Date.now() - openedAt;
+      if (state === "open" && elapsed >= cooldownMs) {
+        state = "half-open";
+      }
+      if (state === "half-open" && !probeInFlight) {
+        probeInFlight = true;
+        return null;
+      }
+      return Math.max(Math.ceil((cooldownMs - elapsed) / 1000), 1);
+    },
+
+    recordSuccess() {
+      if (state !== "closed") console.log("[INFO] Shopmonkey circuit breaker closed.");
+      state = "closed";
+      failures = 0;
+      probeInFlight = false;
+    },
+
+    recordFailure() {
+      failures++;
+      probeInFlight = false;
+      if (state === "half-open" || failures >= threshold) {
+        if (state !== "open") console.warn(`[WARN] Shopmonkey circuit breaker opened after ${failures} failure(s).`);
+        state = "open";
+        openedAt = Date.now();
+      }
+    },
+  };
+}
+
+function isIdempotentRequest(config) {
+  const method = (config.method || "get").toLowerCase();
+  if (["get", "head", "options", "put", "delete"].includes(method)) return true;
+  return method === "post" && /\/search$/.test(config.url || "");
+}
+
+function isUpstreamFailure(error) {
+  if (!error.response) return true; // timeout or network error
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+function parseRetryAfterMs(error) {
+  const header = error.response && error.response.headers && error.response.headers["retry-after"];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function shouldRetry(error, config) {
+  if (error.response && !RETRYABLE_STATUSES.has(error.response.status)) return false;
+  if (isIdempotentRequest(config)) return true;
+  // Non-idempotent writes: only retry when Shopmonkey certainly didn't act on the request
+  return (error.response && error.response.status === 429) || NEVER_SENT_CODES.has(error.code);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates an axios client for the Shopmonkey v3 API, authenticated with one location's API key.
+ */
+function createShopmonkeyClient(apiKey, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const breaker = createCircuitBreaker({ threshold: options.breakerThreshold, cooldownMs: options.breakerCooldownMs });
+
+  const client = axios.create({
+    baseURL: SHOPMONKEY_BASE_URL,
+    timeout: options.timeoutMs,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+  });
+
+  client.interceptors.request.use((config) => {
+    const retryAfterSeconds = breaker.check();
+    if (retryAfterSeconds !== null) {
+      throw new UpstreamUnavailableError(
+        "Our shop system is temporarily unavailable. Please try again shortly.",
+        { retryAfterSeconds }
+      );
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      breaker.recordSuccess();
+      return response;
+    },
+    async (error) => {
+      if (error instanceof UpstreamUnavailableError) throw error;
+
+      const config = error.config || {};
+      if (!isUpstreamFailure(error)) {
+        // 4xx: Shopmonkey is healthy, the request was wrong
+        breaker.recordSuccess();
+        throw error;
+      }
+
+      breaker.recordFailure();
+      const attempt = config.__retryCount || 0;
+      const label = `${(config.method || "get").toUpperCase()} ${config.url}`;
+      const status = error.response ? error.response.status : error.code || "network error";
+
+      if (attempt < options.maxRetries && shouldRetry(error, config)) {
+        const retryAfterMs = parseRetryAfterMs(error);
+        if (retryAfterMs !== null && retryAfterMs > options.maxDelayMs) {
+          console.warn(`[WARN] ${label} rate limited; Retry-After ${Math.ceil(retryAfterMs / 1000)}s is too long to wait.`);
+          throw new UpstreamUnavailableError(
+            "Our shop system is busy right now. Please try again shortly.",
+            { retryAfterSeconds: Math.ceil(retryAfterMs / 1000), cause: error }
+          );
+        }
+
+        // Full jitter: random delay in [0, base * 2^attempt], capped
+        const backoffMs = Math.random() * Math.min(options.baseDelayMs * 2 ** attempt, options.maxDelayMs);
+        const delayMs = retryAfterMs !== null ? retryAfterMs : backoffMs;
+        console.warn(`[WARN] ${label} failed (${status}); retry ${attempt + 1}/${options.maxRetries} in ${Math.round(delayMs)}ms.`);
+        await sleep(delayMs);
+
+        return client.request({ ...config, __retryCount: attempt + 1 });
+      }
+
+      console.error(`[ERROR] ${label} failed (${status}) after ${attempt + 1} attempt(s).`);
+      throw new UpstreamUnavailableError(
+        "Our shop system is not responding right now. Please try again shortly.",
+        { retryAfterSeconds: Math.ceil(parseRetryAfterMs(error) / 1000) || null, cause: error }
+      );
+    }
+  );
+
+  return client;
+}
+
+module.exports = { UpstreamUnavailableError, createCircuitBreaker, createShopmonkeyClient };
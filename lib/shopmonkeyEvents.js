@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Inbound Shopmonkey webhooks: changes advisors make directly in Shopmonkey.
+ *
+ * Each delivery is checked against SHOPMONKEY_WEBHOOK_SECRET (HMAC-SHA256 of the raw body, hex or
+ * base64, optionally prefixed "sha256="), normalized, deduplicated by event ID and appended to a
+ * JSON-lines log before subscribers hear about it. The log only keeps the dedupe window: older
+ * lines are dropped when it is loaded and again every hour. Subscribers get three events per delivery:
+ *   "appointment.updated"  - resource.action
+ *   "appointment"          - any change to that resource
+ *   "event"                - everything
+ * Payloads are accepted as { id, event: "appointment.updated", data } or in Shopmonkey's
+ * change-feed shape { id, table: "appointment", operation: "UPDATE", data }.
+ */
+
+const SHOPMONKEY_RESOURCES = ["appointment", "customer", "vehicle", "order"];
+
+const ACTIONS = {
+  insert: "created",
+  create: "created",
+  created: "created",
+  update: "updated",
+  updated: "updated",
+  delete: "deleted",
+  deleted: "deleted",
+};
+
+const DEFAULT_EVENTS_FILE = path.join(__dirname, "..", "data", "shopmonkey-events.jsonl");
+const DEFAULT_DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const COMPACT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Timing-safe comparison of the signature header against the raw request body.
+ */
+function verifyShopmonkeySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature || !secret) return false;
+
+  const provided = String(signature).trim().replace(/^sha256=/i, "");
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  return [digest.toString("hex"), digest.toString("base64")].some((expected) => {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  });
+}
+
+/**
+ * { id, type, resource, action, locationId, occurredAt, data }, or null for resources the
+ * connector doesn't track. Without an event ID the body hash stands in, so exact resends still dedupe.
+ */
+function normalizeShopmonkeyEvent(payload, rawBody) {
+  if (!payload || typeof payload !== "object") return null;
+
+  let resource;
+  let action;
+  const named = payload.event || payload.type;
+  if (typeof named === "string" && named.includes(".")) {
+    [resource, action] = named.toLowerCase().split(".");
+  } else {
+    resource = String(payload.table || payload.resource || named || "").toLowerCase();
+    action = String(payload.operation || payload.action || "").toLowerCase();
+  }
+  action = ACTIONS[action];
+  if (!SHOPMONKEY_RESOURCES.includes(resource) || !action) return null;
+
+  const data = payload.data || payload.after || payload.record || {};
+  const id = payload.id || payload.eventId || crypto.createHash("sha256").update(rawBody || JSON.stringify(payload)).digest("hex");
+
+  return {
+    id: String(id),
+    type: `${resource}.${action}`,
+    resource,
+    action,
+    locationId: data.locationId || payload.locationId || null,
+    occurredAt: payload.timestamp || payload.createdDate || null,
+    data,
+  };
+}
+
+function createShopmonkeyEventReceiver(options = {}) {
+  const {
+    eventsFile = DEFAULT_EVENTS_FILE,
+    dedupeWindowMs = DEFAULT_DEDUPE_WINDOW_MS,
+    now = () => Date.now(),
+  } = options;
+
+  const emitter = new EventEmitter();
+  const seen = new Map(); // event ID -> received at (ms)
+
+  // Lines still inside the dedupe window, with their event ID and arrival time
+  function recentLines(content) {
+    const cutoff = now() - dedupeWindowMs;
+    return content.split("\n").filter(Boolean).flatMap((line) => {
+      try {
+        const record = JSON.parse(line);
+        const receivedAt = Date.parse(record.receivedAt);
+        return receivedAt >= cutoff ? [{ line, id: record.id, receivedAt }] : [];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  // Events recorded before a restart still count as seen; older lines are dropped from the log
+  if (fs.existsSync(eventsFile)) {
+    try {
+      const content = fs.readFileSync(eventsFile, "utf8");
+      const recent = recentLines(content);
+      recent.forEach(({ id, receivedAt }) => seen.set(id, receivedAt));
+      if (recent.length < content.split("\n").filter(Boolean).length) {
+        fs.writeFileSync(`${eventsFile}.tmp`, recent.map(({ line }) => `${line}\n`).join(""));
+        fs.renameSync(`${eventsFile}.tmp`, eventsFile);
+      }
+    } catch (error) {
+      console.error(`[ERROR] Could not read Shopmonkey event log ${eventsFile}:`, error.message);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+  function record(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    writeChain = writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(eventsFile), { recursive: true });
+      await fs.promises.appendFile(eventsFile, line);
+    }).catch((error) => {
+      console.error(`[ERROR] Could not record Shopmonkey event ${event.id}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Rewrites the log with only the lines inside the dedupe window. Queued behind pending appends.
+   */
+  function compact() {
+    writeChain = writeChain.then(async () => {
+      if (!fs.existsSync(eventsFile)) return;
+      const recent = recentLines(await fs.promises.readFile(eventsFile, "utf8"));
+      const tmpPath = `${eventsFile}.tmp`;
+      await fs.promises.writeFile(tmpPath, recent.map(({ line }) => `${line}\n`).join(""));
+      await fs.promises.rename(tmpPath, eventsFile);
+    }).catch((error) => {
+      console.error(`[ERROR] Could not compact Shopmonkey event log ${eventsFile}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  function forgetExpired() {
+    const cutoff = now() - dedupeWindowMs;
+    for (const [id, receivedAt] of seen) {
+      if (receivedAt >= cutoff) break; // insertion order is arrival order
+      seen.delete(id);
+    }
+  }
+
+  function publish(eventName, event) {
+    emitter.listeners(eventName).forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`[ERROR] Shopmonkey event subscriber for '${eventName}' failed:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Records and publishes one delivery. Resolves to { status: "recorded" | "duplicate" | "ignored", event }.
+   */
+  async function receive(payload, rawBody) {
+    const event = normalizeShopmonkeyEvent(payload, rawBody);
+    if (!event) return { status: "ignored", event: null };
+
+    forgetExpired();
+    if (seen.has(event.id)) return { status: "duplicate", event };
+    seen.set(event.id, now());
+
+    event.receivedAt = new Date(now()).toISOString();
+    await record(event);
+
+    publish(event.type, event);
+    publish(event.resource, event);
+    publish("event", event);
+    return { status: "recorded", event };
+  }
+
+  let timer = null;
+
+  return {
+    receive,
+    compact,
+    on: (eventName, listener) => emitter.on(eventName, listener),
+    off: (eventName, listener) => emitter.off(eventName, listener),
+
+    /** Compacts the log every hour. The timer doesn't keep the process alive. */
+    start() {
+      if (timer) return;
+      timer = setInterval(compact, COMPACT_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+function createShopmonkeyEventReceiverFromEnv(env = process.env) {
+  return createShopmonkeyEventReceiver({
+    eventsFile: path.resolve(env.SHOPMONKEY_EVENTS_FILE || DEFAULT_EVENTS_FILE),
+  });
+}
+
+module.exports = {
+  SHOPMONKEY_RESOURCES,
+  verifyShopmonkeySignature,
+  normalizeShopmonkeyEvent,
+  createShopmonkeyEventReceiver,
+  createShopmonkeyEventReceiverFromEnv,
+};
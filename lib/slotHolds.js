@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+
+/**
+ * Temporary slot holds.
+ *
+ * While the voice agent reads slots to a caller and collects their details, /hold-slot puts a
+ * short-lived hold on one slot. Holds count against capacity for everyone except the holder,
+ * so the slot can't be taken mid-conversation. Expired holds are ignored on read and swept
+ * periodically.
+ */
+
+function createHoldStore(options = {}) {
+  const { defaultTtlMs = 5 * 60 * 1000, maxTtlMs = 15 * 60 * 1000, sweepIntervalMs = 60 * 1000 } = options;
+  const holds = new Map();
+
+  function isLive(hold, now = Date.now()) {
+    return hold && hold.expiresAt > now;
+  }
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    holds.forEach((hold, token) => {
+      if (!isLive(hold, now)) {
+        holds.delete(token);
+        removed++;
+      }
+    });
+    if (removed > 0) console.log(`[INFO] Cleared ${removed} expired slot hold(s).`);
+  }
+
+  const sweeper = setInterval(sweep, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    /**
+     * Places a hold and returns it. ttlMs is clamped to maxTtlMs.
+     */
+    create({ locationKey, start, end, resourceId = null, ttlMs }) {
+      const ttl = Math.min(Math.max(Number(ttlMs) || defaultTtlMs, 1000), maxTtlMs);
+      const hold = {
+        token: crypto.randomUUID(),
+        locationKey,
+        start: new Date(start),
+        end: new Date(end),
+        resourceId,
+        expiresAt: Date.now() + ttl,
+      };
+      holds.set(hold.token, hold);
+      return hold;
+    },
+
+    get(token) {
+      const hold = holds.get(token);
+      if (!isLive(hold)) {
+        holds.delete(token);
+        return null;
+      }
+      return hold;
+    },
+
+    release(token) {
+      return holds.delete(token);
+    },
+
+    /**
+     * Live holds at a location shaped like Shopmonkey appointments, so the capacity model
+     * can count them. The hold identified by exceptToken (the caller's own) is left out.
+     */
+    asAppointments(locationKey, resourceField = null, exceptToken = null) {
+      const now = Date.now();
+      const result = [];
+      holds.forEach((hold) => {
+        if (hold.locationKey !== locationKey || hold.token === exceptToken || !isLive(hold, now)) return;
+        const appt = { id: `hold:${hold.token}`, startDate: hold.start.toISOString(), endDate: hold.end.toISOString() };
+        if (resourceField && hold.resourceId) appt[resourceField] = hold.resourceId;
+        result.push(appt);
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = { createHoldStore };
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+
+/**
+ * Slot reservation locks.
+ *
+ * Booking is check-then-create, so two voice lines asking for the same slot can both pass the check.
+ * withSlotLock() serializes those critical sections per lock key. The store is pluggable:
+ * anything with async acquire(key, ttlMs) -> token|null and release(key, token) works, so the
+ * in-memory store below can later be swapped for a shared one (e.g. Redis SET NX PX).
+ */
+
+class SlotBusyError extends Error {
+  constructor(message = "Another booking for this time is in progress. Please try again.") {
+    super(message);
+    this.name = "SlotBusyError";
+    this.code = "SLOT_BUSY";
+    this.statusCode = 409;
+  }
+}
+
+function createMemoryLockStore() {
+  const locks = new Map();
+
+  return {
+    async acquire(key, ttlMs) {
+      const now = Date.now();
+      const existing = locks.get(key);
+      if (existing && existing.expiresAt > now) return null;
+
+      const token = crypto.randomUUID();
+      locks.set(key, { token, expiresAt: now + ttlMs });
+      return token;
+    },
+
+    async release(key, token) {
+      const existing = locks.get(key);
+      if (existing && existing.token === token) locks.delete(key);
+    },
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns withSlotLock(keys, fn): acquires every key (in sorted order, to avoid deadlocks),
+ * runs fn, then releases. Throws SlotBusyError if the keys can't be acquired within waitMs.
+ * ttlMs bounds how long a crashed holder can block a slot.
+ */
+function createSlotLocker(store, options = {}) {
+  const { ttlMs = 30000, waitMs = 10000, retryDelayMs = 50 } = options;
+
+  async function acquireAll(keys) {
+    const deadline = Date.now() + waitMs;
+    const held = [];
+
+    for (const key of keys) {
+      let token = await store.acquire(key, ttlMs);
+      while (!token) {
+        if (Date.now() >= deadline) {
+          await releaseAll(held);
+          throw new SlotBusyError();
+        }
+        await sleep(retryDelayMs);
+        token = await store.acquire(key, ttlMs);
+      }
+      held.push({ key, token });
+    }
+    return held;
+  }
+
+  async function releaseAll(held) {
+    await Promise.all(held.map(({ key, token }) => store.release(key, token)));
+  }
+
+  return async function withSlotLock(keys, fn) {
+    const uniqueKeys = [...new Set(keys)].sort();
+    const held = await acquireAll(uniqueKeys);
+    try {
+      return await fn();
+    } finally {
+      await releaseAll(held);
+    }
+  };
+}
+
+module.exports = { SlotBusyError, createMemoryLockStore, createSlotLocker };
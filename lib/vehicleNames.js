@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const { levenshteinDistance, isFuzzyMatch } = require("./fuzzyMatch");
+
+/**
+ * Canonical vehicle make/model names for speech-to-text input.
+ *
+ * "Chevy", "VW" and "F one fifty" come back as "Chevrolet", "Volkswagen" and "F-150" so vehicles
+ * are matched and created under one name. Lookup order for a spoken name:
+ *   1. exact name or alias, compared as a compact key ("F-150", "f 150" and "F one fifty" -> "f150")
+ *   2. phonetic (Soundex) or fuzzy match with the same digits, closest one wins
+ *      ("F-150" never matches "F-250")
+ * Models are only looked up within their make. Unknown names are returned as heard.
+ *
+ * The dictionary is resolved in this order:
+ *   1. VEHICLE_DICTIONARY_PATH - path to a JSON file
+ *   2. config/vehicles.json
+ *   3. An empty dictionary (names are only compared phonetically/fuzzily)
+ *
+ * Shape:
+ * {
+ *   "makes": [{ "name": "Chevrolet", "aliases": ["chevy"], "models": ["Malibu", { "name": "Silverado", "aliases": ["silverado 1500"] }] }]
+ * }
+ */
+
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, "..", "config", "vehicles.json");
+
+const UNITS = { zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+  fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+let defaultDictionary = null;
+
+function loadVehicleDictionary(env = process.env) {
+  let raw = { makes: [] };
+  let source = "built-in default";
+
+  if (env.VEHICLE_DICTIONARY_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.VEHICLE_DICTIONARY_PATH, "utf8"));
+    source = env.VEHICLE_DICTIONARY_PATH;
+  } else if (fs.existsSync(DEFAULT_DICTIONARY_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_DICTIONARY_PATH, "utf8"));
+    source = DEFAULT_DICTIONARY_PATH;
+  }
+
+  const dictionary = normalizeVehicleDictionary(raw);
+  console.log(`[INFO] Loaded ${dictionary.makes.length} vehicle make(s) from ${source}`);
+  return dictionary;
+}
+
+function normalizeVehicleDictionary(raw) {
+  if (!raw || !Array.isArray(raw.makes)) {
+    throw new Error("Vehicle dictionary must be a JSON object with a \"makes\" array.");
+  }
+
+  const makes = raw.makes.map((make, i) => {
+    if (!make.name) throw new Error(`makes[${i}] needs a "name".`);
+    const models = (make.models || []).map((model, j) => {
+      const entry = typeof model === "string" ? { name: model } : model;
+      if (!entry || !entry.name) throw new Error(`makes[${i}].models[${j}] needs a "name".`);
+      return buildEntry(entry.name, entry.aliases);
+    });
+    return { ...buildEntry(make.name, make.aliases), models };
+  });
+
+  return { makes };
+}
+
+function buildEntry(name, aliases = []) {
+  const keys = new Set([name, ...aliases].map(compactKey).filter(Boolean));
+  return { name, keys: [...keys] };
+}
+
+/**
+ * The dictionary loaded from the environment on first use (server.js loads it at startup).
+ */
+function getVehicleDictionary() {
+  if (!defaultDictionary) defaultDictionary = loadVehicleDictionary();
+  return defaultDictionary;
+}
+
+/**
+ * Spoken numbers to digits, concatenated the way model numbers are read out:
+ * "one fifty" -> "150", "three twenty eight i" -> "328 i", "twenty five hundred" -> "2500".
+ */
+function spokenNumbersToDigits(text) {
+  const out = [];
+  let digits = "";
+  let pending = null; // current number group, e.g. 20 waiting for "eight"
+
+  const flushGroup = () => {
+    if (pending !== null) digits += String(pending);
+    pending = null;
+  };
+  const flushDigits = () => {
+    flushGroup();
+    if (digits) out.push(digits);
+    digits = "";
+  };
+
+  String(text).toLowerCase().split(/[\s-]+/).filter(Boolean).forEach((word) => {
+    if (word in UNITS) {
+      if (pending !== null && pending % 10 === 0 && pending >= 20 && pending < 100) {
+        pending += UNITS[word];
+      } else {
+        flushGroup();
+        pending = UNITS[word];
+      }
+    } else if (word in TEENS || word in TENS) {
+      flushGroup();
+      pending = word in TEENS ? TEENS[word] : TENS[word];
+    } else if ((word === "hundred" || word === "thousand") && pending !== null) {
+      pending *= word === "hundred" ? 100 : 1000;
+    } else {
+      flushDigits();
+      out.push(word);
+    }
+  });
+  flushDigits();
+  return out.join(" ");
+}
+
+/**
+ * Lower-case letters and digits only, after converting spoken numbers.
+ */
+function compactKey(text) {
+  if (!text) return "";
+  return spokenNumbersToDigits(text).replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * American Soundex of the letters in a string ("" when there are none).
+ */
+function soundex(text) {
+  const letters = String(text).toLowerCase().replace(/[^a-z]/g, "");
+  if (!letters) return "";
+
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = letters[0].toUpperCase();
+  let previous = codes[letters[0]] || 0;
+
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const char = letters[i];
+    const code = codes[char] || 0;
+    if (code && code !== previous) result += code;
+    // h and w don't separate equal codes; vowels do
+    if (char !== "h" && char !== "w") previous = code;
+  }
+  return result.padEnd(4, "0");
+}
+
+function digitsOf(key) {
+  return key.replace(/\D/g, "");
+}
+
+// Compact keys with the same digits whose letters sound alike or are within isFuzzyMatch distance.
+function soundsAlike(keyA, keyB) {
+  if (keyA === keyB) return true;
+  if (digitsOf(keyA) !== digitsOf(keyB)) return false;
+  const soundA = soundex(keyA);
+  return (soundA && soundA === soundex(keyB)) || isFuzzyMatch(keyA, keyB);
+}
+
+function findEntry(entries, input) {
+  const key = compactKey(input);
+  if (!key) return null;
+
+  const exact = entries.find((entry) => entry.keys.includes(key));
+  if (exact) return exact;
+
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+
+  entries.forEach((entry) => {
+    entry.keys.forEach((candidate) => {
+      if (!soundsAlike(candidate, key)) return;
+
+      const distance = levenshteinDistance(candidate, key);
+      if (distance < bestDistance) {
+        best = entry;
+        bestDistance = distance;
+        tied = false;
+      } else if (distance === bestDistance && entry !== best) {
+        tied = true;
+      }
+    });
+  });
+
+  // Two entries equally close is a guess, not a match
+  return tied ? null : best;
+}
+
+/**
+ * Canonical make name, or the input trimmed when it isn't in the dictionary.
+ */
+function canonicalMake(make, dictionary = getVehicleDictionary()) {
+  if (!make) return make;
+  const entry = findEntry(dictionary.makes, make);
+  return entry ? entry.name : String(make).trim();
+}
+
+/**
+ * Canonical model name within a make, or the input trimmed when either isn't in the dictionary.
+ */
+function canonicalModel(make, model, dictionary = getVehicleDictionary()) {
+  if (!model) return model;
+  const makeEntry = make ? findEntry(dictionary.makes, make) : null;
+  const entry = makeEntry ? findEntry(makeEntry.models, model) : null;
+  return entry ? entry.name : String(model).trim();
+}
+
+/**
+ * Whether two spoken/stored makes are the same. Two dictionary makes are compared by identity,
+ * so "Honda" and "Hyundai" never match even though they sound alike.
+ */
+function isSameMake(a, b, dictionary = getVehicleDictionary()) {
+  if (!a || !b) return false;
+  return isSameEntry(findEntry(dictionary.makes, a), findEntry(dictionary.makes, b), a, b);
+}
+
+function isSameModel(make, a, b, dictionary = getVehicleDictionary()) {
+  if (!a || !b) return false;
+  const makeEntry = make ? findEntry(dictionary.makes, make) : null;
+  const models = makeEntry ? makeEntry.models : [];
+  return isSameEntry(findEntry(models, a), findEntry(models, b), a, b);
+}
+
+function isSameEntry(entryA, entryB, a, b) {
+  if (entryA && entryB) return entryA === entryB;
+  return soundsAlike(compactKey(entryA ? entryA.name : a), compactKey(entryB ? entryB.name : b));
+}
+
+module.exports = {
+  loadVehicleDictionary,
+  normalizeVehicleDictionary,
+  getVehicleDictionary,
+  spokenNumbersToDigits,
+  compactKey,
+  soundex,
+  canonicalMake,
+  canonicalModel,
+  isSameMake,
+  isSameModel,
+};
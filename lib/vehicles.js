@@ -0,0 +1,151 @@
+const { decodeVin, normalizeVin } = require("./vin");
+const { canonicalMake, canonicalModel, isSameMake, isSameModel } = require("./vehicleNames");
+
+/**
+ * Vehicle details from a request and matching them against a customer's Shopmonkey vehicles.
+ *
+ * Matching prefers the strongest identifier both sides have:
+ *   1. VIN           - equal VINs match; different VINs are different vehicles
+ *   2. License plate - same rule, compared without spaces/dashes
+ *   3. Make/model (canonical names, see lib/vehicleNames.js), and year when both sides have one
+ * so a customer's 2015 Camry and 2021 Camry stay separate vehicles.
+ */
+
+const MIN_VEHICLE_YEAR = 1900;
+
+class VehicleDetailsError extends Error {
+  constructor(message, code = "INVALID_VEHICLE_DETAILS") {
+    super(message);
+    this.name = "VehicleDetailsError";
+    this.code = code;
+    this.statusCode = 400;
+  }
+}
+
+function normalizePlate(plate) {
+  return plate ? String(plate).toUpperCase().replace(/[^A-Z0-9]/g, "") : null;
+}
+
+/**
+ * Picks the vehicle fields out of a request body, canonicalizes make/model and validates the optional ones.
+ * Throws VehicleDetailsError for a malformed year (INVALID_VEHICLE_DETAILS) or VIN (INVALID_VIN).
+ * A valid VIN is decoded (lib/vin.js) and kept on details.decodedVin.
+ */
+function parseVehicleDetails({ make, model, year, vin, licensePlate, color, trim } = {}) {
+  const details = { make: canonicalMake(make), model: canonicalModel(make, model) };
+
+  if (year !== undefined && year !== null && year !== "") {
+    const numericYear = Number(year);
+    const latestYear = new Date().getFullYear() + 2;
+    if (!Number.isInteger(numericYear) || numericYear < MIN_VEHICLE_YEAR || numericYear > latestYear) {
+      throw new VehicleDetailsError(`Invalid vehicle year '${year}'. Use a four-digit year between ${MIN_VEHICLE_YEAR} and ${latestYear}.`);
+    }
+    details.year = numericYear;
+  }
+
+  if (vin) {
+    const decoded = decodeVin(vin);
+    if (!decoded.valid) {
+      throw new VehicleDetailsError(`Invalid VIN. ${decoded.errors.join(" ")}`, "INVALID_VIN");
+    }
+    details.vin = decoded.vin;
+    details.decodedVin = decoded;
+  }
+
+  if (licensePlate) details.licensePlate = String(licensePlate).trim().toUpperCase();
+  if (color) details.color = String(color).trim();
+  if (trim) details.trim = String(trim).trim();
+  return details;
+}
+
+/**
+ * Fills in or corrects make and year from the decoded VIN, which is more reliable than a make
+ * heard over the phone. A stated year the year code allows (the codes repeat every 30 years)
+ * is kept. Returns the corrections made as [{ field, from, to }].
+ */
+function applyVinDecoding(details) {
+  const decoded = details.decodedVin;
+  const corrections = [];
+  if (!decoded) return corrections;
+
+  if (decoded.make && !isSameMake(details.make, decoded.make)) {
+    corrections.push({ field: "make", from: details.make || null, to: decoded.make });
+    details.make = decoded.make;
+    details.model = canonicalModel(decoded.make, details.model);
+  }
+  if (decoded.modelYear && !(details.year && (details.year - decoded.modelYear) % 30 === 0)) {
+    corrections.push({ field: "year", from: details.year || null, to: decoded.modelYear });
+    details.year = decoded.modelYear;
+  }
+  return corrections;
+}
+
+/**
+ * How `vehicle` matches the requested details: "vin", "licensePlate", "makeModelYear",
+ * "makeModel", or null when it is not the same vehicle.
+ */
+function compareVehicle(vehicle, details) {
+  const vin = normalizeVin(details.vin);
+  const vehicleVin = normalizeVin(vehicle.vin);
+  if (vin && vehicleVin) return vin === vehicleVin ? "vin" : null;
+
+  const plate = normalizePlate(details.licensePlate);
+  const vehiclePlate = normalizePlate(vehicle.licensePlate);
+  if (plate && vehiclePlate) return plate === vehiclePlate ? "licensePlate" : null;
+
+  if (!isSameMake(vehicle.make, details.make) || !isSameModel(details.make, vehicle.model, details.model)) return null;
+  if (!details.year || !vehicle.year) return "makeModel";
+  return Number(vehicle.year) === Number(details.year) ? "makeModelYear" : null;
+}
+
+const MATCH_RANK = { vin: 0, licensePlate: 1, makeModelYear: 2, makeModel: 3 };
+
+/**
+ * Best match among the customer's vehicles as { vehicle, matchedBy }, or null.
+ */
+function findMatchingVehicle(vehicles, details) {
+  let best = null;
+  vehicles.forEach((vehicle) => {
+    const matchedBy = compareVehicle(vehicle, details);
+    if (matchedBy && (!best || MATCH_RANK[matchedBy] < MATCH_RANK[best.matchedBy])) {
+      best = { vehicle, matchedBy };
+    }
+  });
+  return best;
+}
+
+/**
+ * Shopmonkey vehicle fields for the supplied details. With `existing`, only fields it is
+ * missing are returned, so a match can be filled in without overwriting what the advisor entered.
+ */
+function vehicleFields(details, existing = null) {
+  const fields = {
+    year: details.year,
+    vin: details.vin,
+    licensePlate: details.licensePlate,
+    color: details.color,
+    submodel: details.trim,
+  };
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] === undefined || (existing && existing[key])) delete fields[key];
+  });
+  return fields;
+}
+
+/**
+ * "2019 Toyota Camry" (year only when known).
+ */
+function describeVehicle(vehicle) {
+  return [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(" ");
+}
+
+module.exports = {
+  VehicleDetailsError,
+  normalizePlate,
+  parseVehicleDetails,
+  applyVinDecoding,
+  compareVehicle,
+  findMatchingVehicle,
+  vehicleFields,
+  describeVehicle,
+};
@@ -0,0 +1,153 @@
+/**
+ * Offline VIN validation and decoding (ISO 3779 / 49 CFR 565).
+ *
+ * Decodes what a VIN states without a manufacturer database: the check digit (position 9),
+ * the manufacturer from the WMI (positions 1-3) and the model year (position 10).
+ * Model names live in the manufacturer-specific VDS and are not decoded.
+ */
+
+const VIN_LENGTH = 17;
+const VIN_CHARSET = /^[A-HJ-NPR-Z0-9]+$/;
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Position 10 cycles through these every 30 years, starting with A = 1980.
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+// World manufacturer identifiers for brands commonly serviced. WMIs shared by several brands are left out.
+const WMI_MAKES = {
+  "1FA": "Ford", "1FB": "Ford", "1FC": "Ford", "1FD": "Ford", "1FM": "Ford", "1FT": "Ford",
+  "2FA": "Ford", "2FM": "Ford", "2FT": "Ford", "3FA": "Ford", "3FT": "Ford",
+  "1LN": "Lincoln", "5LM": "Lincoln", "2LM": "Lincoln",
+  "1G1": "Chevrolet", "1GC": "Chevrolet", "1GN": "Chevrolet", "2G1": "Chevrolet", "3G1": "Chevrolet", "3GC": "Chevrolet", "3GN": "Chevrolet", "KL7": "Chevrolet",
+  "1GT": "GMC", "1GK": "GMC", "2GT": "GMC", "3GT": "GMC", "3GK": "GMC",
+  "1G4": "Buick", "2G4": "Buick", "KL4": "Buick",
+  "1G6": "Cadillac", "1GY": "Cadillac",
+  "1J4": "Jeep", "1J8": "Jeep",
+  "1B3": "Dodge", "1B7": "Dodge", "2B3": "Dodge", "1D7": "Dodge",
+  "1C6": "Ram", "3C6": "Ram",
+  "1HG": "Honda", "2HG": "Honda", "2HK": "Honda", "5FN": "Honda", "5J6": "Honda", "JHM": "Honda", "SHH": "Honda", "19X": "Honda",
+  "19U": "Acura", "JH4": "Acura", "5J8": "Acura",
+  "4T1": "Toyota", "4T3": "Toyota", "4T4": "Toyota", "5TD": "Toyota", "5TF": "Toyota", "5TE": "Toyota", "5YF": "Toyota",
+  "2T1": "Toyota", "2T3": "Toyota", "JTD": "Toyota", "JTE": "Toyota", "JTM": "Toyota", "JTN": "Toyota", "JTK": "Toyota",
+  "JTH": "Lexus", "JTJ": "Lexus", "2T2": "Lexus", "58A": "Lexus",
+  "1N4": "Nissan", "1N6": "Nissan", "3N1": "Nissan", "3N6": "Nissan", "5N1": "Nissan", "JN1": "Nissan", "JN8": "Nissan",
+  "JNK": "Infiniti", "5N3": "Infiniti",
+  "KMH": "Hyundai", "KM8": "Hyundai", "5NP": "Hyundai", "5NM": "Hyundai",
+  "KMT": "Genesis",
+  "KNA": "Kia", "KND": "Kia", "5XX": "Kia", "5XY": "Kia",
+  "JM1": "Mazda", "JM3": "Mazda", "3MZ": "Mazda", "3MV": "Mazda",
+  "JF1": "Subaru", "JF2": "Subaru", "4S3": "Subaru", "4S4": "Subaru",
+  "JA3": "Mitsubishi", "JA4": "Mitsubishi", "4A3": "Mitsubishi", "4A4": "Mitsubishi",
+  "JS2": "Suzuki", "JS3": "Suzuki",
+  "WBA": "BMW", "WBS": "BMW", "WBX": "BMW", "WBY": "BMW", "5UX": "BMW", "5YM": "BMW",
+  "WMW": "MINI",
+  "WDB": "Mercedes-Benz", "WDC": "Mercedes-Benz", "WDD": "Mercedes-Benz", "W1K": "Mercedes-Benz", "W1N": "Mercedes-Benz", "4JG": "Mercedes-Benz", "55S": "Mercedes-Benz",
+  "WVW": "Volkswagen", "WVG": "Volkswagen", "1VW": "Volkswagen", "3VW": "Volkswagen",
+  "WAU": "Audi", "WA1": "Audi",
+  "WP0": "Porsche", "WP1": "Porsche",
+  "YV1": "Volvo", "YV4": "Volvo",
+  "SAJ": "Jaguar", "SAL": "Land Rover",
+  "ZFA": "Fiat", "ZAR": "Alfa Romeo", "ZFF": "Ferrari",
+  "5YJ": "Tesla", "7SA": "Tesla",
+};
+
+// First character -> region of manufacture.
+const REGION_BY_PREFIX = [
+  { pattern: /^[1457]/, country: "United States" },
+  { pattern: /^2/, country: "Canada" },
+  { pattern: /^3/, country: "Mexico" },
+  { pattern: /^J/, country: "Japan" },
+  { pattern: /^K/, country: "South Korea" },
+  { pattern: /^L/, country: "China" },
+  { pattern: /^S/, country: "United Kingdom" },
+  { pattern: /^W/, country: "Germany" },
+  { pattern: /^Y/, country: "Sweden" },
+  { pattern: /^Z/, country: "Italy" },
+  { pattern: /^9/, country: "Brazil" },
+];
+
+function normalizeVin(vin) {
+  return vin ? String(vin).toUpperCase().replace(/[\s-]/g, "") : "";
+}
+
+function computeCheckDigit(vin) {
+  const sum = vin.split("").reduce((total, char, i) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * POSITION_WEIGHTS[i];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+}
+
+// The check digit is mandatory for vehicles built for North America; elsewhere it is often unused.
+function requiresCheckDigit(vin) {
+  return /^[1-57]/.test(vin);
+}
+
+/**
+ * Model year from the position-10 code. For North American vehicles position 7 picks the cycle:
+ * a digit means 1980-2009, a letter 2010-2039. Elsewhere position 7 carries no such meaning, so
+ * the most recent year the code can stand for, no later than next year, is the best guess.
+ */
+function decodeModelYear(vin, now = new Date()) {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return null;
+
+  const latestAllowed = now.getFullYear() + 1;
+  let year = 1980 + index;
+  if (requiresCheckDigit(vin)) {
+    if (/[A-Z]/.test(vin[6])) year += 30;
+  } else {
+    while (year + 30 <= latestAllowed) year += 30;
+  }
+  while (year > latestAllowed) year -= 30;
+  return year;
+}
+
+/**
+ * Validates and decodes a VIN. Returns
+ * { vin, valid, errors, checkDigitValid, wmi, make, country, modelYear }.
+ * `valid` is false for a wrong length, characters a VIN can't contain, or a wrong check digit
+ * on a North American VIN.
+ */
+function decodeVin(rawVin, now = new Date()) {
+  const vin = normalizeVin(rawVin);
+  const errors = [];
+
+  if (vin.length !== VIN_LENGTH) {
+    errors.push(`A VIN has ${VIN_LENGTH} characters; got ${vin.length}.`);
+  }
+  if (vin && !VIN_CHARSET.test(vin)) {
+    errors.push("A VIN only uses digits and the letters A-Z except I, O and Q.");
+  }
+  if (errors.length > 0) {
+    return { vin, valid: false, errors, checkDigitValid: null, wmi: null, make: null, country: null, modelYear: null };
+  }
+
+  const checkDigitValid = computeCheckDigit(vin) === vin[8];
+  if (!checkDigitValid && requiresCheckDigit(vin)) {
+    errors.push("The VIN check digit doesn't match. One of the characters was probably misheard.");
+  }
+
+  const wmi = vin.slice(0, 3);
+  const region = REGION_BY_PREFIX.find((r) => r.pattern.test(vin));
+
+  return {
+    vin,
+    valid: errors.length === 0,
+    errors,
+    checkDigitValid,
+    wmi,
+    make: WMI_MAKES[wmi] || null,
+    country: region ? region.country : null,
+    modelYear: decodeModelYear(vin, now),
+  };
+}
+
+module.exports = { decodeVin, computeCheckDigit, decodeModelYear, normalizeVin };
@@ -0,0 +1,299 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+/**
+ * Outbound webhooks: signed JSON events for the shop's own tools (Slack bot, CRM) when the voice
+ * agent books, reschedules or cancels.
+ *
+ * Every delivery is queued first and the queue is persisted to disk, so events survive a restart.
+ * Failed deliveries are retried with exponential backoff; after maxAttempts, or on a 4xx other than
+ * 408/429, they move to a dead-letter list in the same file.
+ *
+ * Config is resolved in this order:
+ *   1. WEBHOOKS_JSON  - inline JSON in the environment
+ *   2. WEBHOOKS_PATH  - path to a JSON file
+ *   3. config/webhooks.json
+ *   4. No endpoints (webhooks disabled)
+ *
+ * Shape (secrets are read from the named environment variables, like location API keys):
+ * {
+ *   "endpoints": [{ "name": "slack-bot", "url": "https://...", "secretEnv": "WEBHOOK_SECRET_SLACK", "events": ["*"] }],
+ *   "maxAttempts": 8, "initialBackoffSeconds": 10, "maxBackoffSeconds": 3600, "timeoutMs": 5000
+ * }
+ *
+ * Each POST carries X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp and
+ * X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the endpoint secret.
+ */
+
+const WEBHOOK_EVENTS = {
+  APPOINTMENT_CREATED: "appointment.created",
+  APPOINTMENT_RESCHEDULED: "appointment.rescheduled",
+  APPOINTMENT_CANCELED: "appointment.canceled",
+};
+
+const DEFAULT_SETTINGS = {
+  maxAttempts: 8,
+  initialBackoffSeconds: 10,
+  maxBackoffSeconds: 3600,
+  timeoutMs: 5000,
+};
+
+const DEFAULT_WEBHOOKS_PATH = path.join(__dirname, "..", "config", "webhooks.json");
+const DEFAULT_QUEUE_PATH = path.join(__dirname, "..", "data", "webhook-queue.json");
+const POLL_INTERVAL_MS = 5000;
+const MAX_DEAD_LETTERS = 100;
+
+function loadWebhookConfig(env = process.env) {
+  let raw = { endpoints: [] };
+  let source = "built-in default";
+
+  if (env.WEBHOOKS_JSON) {
+    raw = JSON.parse(env.WEBHOOKS_JSON);
+    source = "WEBHOOKS_JSON";
+  } else if (env.WEBHOOKS_PATH) {
+    raw = JSON.parse(fs.readFileSync(env.WEBHOOKS_PATH, "utf8"));
+    source = env.WEBHOOKS_PATH;
+  } else if (fs.existsSync(DEFAULT_WEBHOOKS_PATH)) {
+    raw = JSON.parse(fs.readFileSync(DEFAULT_WEBHOOKS_PATH, "utf8"));
+    source = DEFAULT_WEBHOOKS_PATH;
+  }
+
+  const config = normalizeWebhookConfig(raw, env);
+  console.log(`[INFO] Loaded ${config.endpoints.length} webhook endpoint(s) from ${source}`);
+  return config;
+}
+
+function normalizeWebhookConfig(raw, env = process.env) {
+  if (!raw || !Array.isArray(raw.endpoints)) {
+    throw new Error("Webhook config must be a JSON object with an \"endpoints\" array.");
+  }
+
+  const names = new Set();
+  const knownEvents = Object.values(WEBHOOK_EVENTS);
+  const endpoints = raw.endpoints.map((endpoint, i) => {
+    if (!endpoint.name) throw new Error(`endpoints[${i}] needs a "name".`);
+    if (names.has(endpoint.name)) throw new Error(`Duplicate webhook endpoint name '${endpoint.name}'.`);
+    names.add(endpoint.name);
+
+    let url;
+    try {
+      url = new URL(endpoint.url);
+    } catch (error) {
+      throw new Error(`Webhook '${endpoint.name}' has an invalid url.`);
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error(`Webhook '${endpoint.name}' url must be http or https.`);
+    }
+
+    if (!endpoint.secretEnv || !env[endpoint.secretEnv]) {
+      throw new Error(`Webhook '${endpoint.name}' needs "secretEnv" naming a set environment variable.`);
+    }
+
+    const events = endpoint.events || ["*"];
+    const valid = Array.isArray(events) && events.length > 0 && events.every((event) => event === "*" || knownEvents.includes(event));
+    if (!valid) {
+      throw new Error(`Webhook '${endpoint.name}' events must be "*" or any of ${knownEvents.join(", ")}.`);
+    }
+
+    return { name: endpoint.name, url: url.toString(), secret: env[endpoint.secretEnv], events };
+  });
+
+  const settings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    const value = raw[key] === undefined ? DEFAULT_SETTINGS[key] : Number(raw[key]);
+    if (!(value > 0)) throw new Error(`${key} must be a positive number.`);
+    settings[key] = value;
+  });
+
+  return { endpoints, ...settings };
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// A 4xx other than timeout/rate limit means the receiver rejected the event; retrying won't help
+function isPermanentFailure(error) {
+  const status = error.response && error.response.status;
+  return Boolean(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function describeFailure(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+/**
+ * Queue and delivery loop. emit() enqueues one delivery per subscribed endpoint and returns
+ * the event (or null when nothing subscribes); delivery happens in the background.
+ */
+function createWebhookDispatcher(config, options = {}) {
+  const {
+    queueFile = DEFAULT_QUEUE_PATH,
+    httpClient = axios.create(),
+    now = () => Date.now(),
+  } = options;
+
+  let state = { pending: [], deadLetters: [] };
+  if (fs.existsSync(queueFile)) {
+    try {
+      state = { pending: [], deadLetters: [], ...JSON.parse(fs.readFileSync(queueFile, "utf8")) };
+      if (state.pending.length > 0) console.log(`[INFO] ${state.pending.length} webhook delivery(s) waiting in ${queueFile}`);
+    } catch (error) {
+      console.error(`[ERROR] Could not read webhook queue ${queueFile}, starting empty:`, error.message);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+  function persist() {
+    const snapshot = JSON.stringify(state);
+    writeChain = writeChain.then(async () => {
+      const tmpPath = `${queueFile}.tmp`;
+      await fs.promises.mkdir(path.dirname(queueFile), { recursive: true });
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, queueFile);
+    }).catch((error) => {
+      console.error(`[ERROR] Could not write webhook queue ${queueFile}:`, error.message);
+    });
+    return writeChain;
+  }
+
+  function backoffMs(attempts) {
+    const seconds = Math.min(config.maxBackoffSeconds, config.initialBackoffSeconds * 2 ** (attempts - 1));
+    // +-20% jitter so deliveries that failed together don't retry together
+    return Math.round(seconds * 1000 * (0.8 + Math.random() * 0.4));
+  }
+
+  function removePending(delivery) {
+    state.pending = state.pending.filter((item) => item !== delivery);
+  }
+
+  function deadLetter(delivery, reason) {
+    removePending(delivery);
+    state.deadLetters.push({ ...delivery, failedAt: new Date(now()).toISOString(), reason });
+    state.deadLetters = state.deadLetters.slice(-MAX_DEAD_LETTERS);
+    console.error(`[ERROR] Webhook ${delivery.event.type} (${delivery.event.id}) to '${delivery.endpoint}' abandoned: ${reason}`);
+  }
+
+  async function deliver(delivery, endpoint) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(now() / 1000);
+    await httpClient.post(endpoint.url, body, {
+      timeout: config.timeoutMs,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.event.id,
+        "X-Webhook-Event": delivery.event.type,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(endpoint.secret, timestamp, body)}`,
+      },
+    });
+  }
+
+  let processing = null;
+
+  /**
+   * Attempts every delivery that is due. Concurrent calls share one run.
+   */
+  function processQueue() {
+    if (processing) return processing;
+
+    processing = (async () => {
+      const due = state.pending.filter((delivery) => delivery.nextAttemptAt <= now());
+      for (const delivery of due) {
+        const endpoint = config.endpoints.find((e) => e.name === delivery.endpoint);
+        if (!endpoint) {
+          deadLetter(delivery, "endpoint is no longer configured");
+          continue;
+        }
+
+        try {
+          await deliver(delivery, endpoint);
+          removePending(delivery);
+          console.log(`[SUCCESS] Webhook ${delivery.event.type} (${delivery.event.id}) delivered to '${endpoint.name}'`);
+        } catch (error) {
+          delivery.attempts += 1;
+          delivery.lastError = describeFailure(error);
+          if (isPermanentFailure(error)) {
+            deadLetter(delivery, `rejected with ${delivery.lastError}`);
+          } else if (delivery.attempts >= config.maxAttempts) {
+            deadLetter(delivery, `${delivery.attempts} attempts failed, last: ${delivery.lastError}`);
+          } else {
+            delivery.nextAttemptAt = now() + backoffMs(delivery.attempts);
+            console.warn(`[WARN] Webhook to '${endpoint.name}' failed (${delivery.lastError}); attempt ${delivery.attempts + 1} at ${new Date(delivery.nextAttemptAt).toISOString()}`);
+          }
+        }
+      }
+      if (due.length > 0) await persist();
+    })().finally(() => {
+      processing = null;
+    });
+    // Events emitted during this run are picked up right after it instead of at the next poll
+    return processing.then(() => (state.pending.some((delivery) => delivery.nextAttemptAt <= now()) ? processQueue() : undefined));
+  }
+
+  function emit(type, data, context = {}) {
+    if (!Object.values(WEBHOOK_EVENTS).includes(type)) {
+      throw new Error(`Unknown webhook event '${type}'.`);
+    }
+
+    const endpoints = config.endpoints.filter((e) => e.events.includes("*") || e.events.includes(type));
+    if (endpoints.length === 0) return null;
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      createdAt: new Date(now()).toISOString(),
+      location: context.location || null,
+      data,
+    };
+    endpoints.forEach((endpoint) => {
+      state.pending.push({ endpoint: endpoint.name, event, attempts: 0, nextAttemptAt: now(), lastError: null });
+    });
+
+    persist().then(() => processQueue()).catch((error) => {
+      console.error(`[ERROR] Webhook delivery run failed:`, error.message);
+    });
+    return event;
+  }
+
+  let timer = null;
+
+  return {
+    emit,
+    processQueue,
+
+    /** Retries due deliveries every few seconds. The timer doesn't keep the process alive. */
+    start() {
+      if (timer || config.endpoints.length === 0) return;
+      timer = setInterval(() => {
+        processQueue().catch((error) => console.error(`[ERROR] Webhook delivery run failed:`, error.message));
+      }, POLL_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    stats() {
+      return { pending: state.pending.length, deadLetters: state.deadLetters.length };
+    },
+  };
+}
+
+function createWebhookDispatcherFromEnv(env = process.env) {
+  const queueFile = path.resolve(env.WEBHOOK_QUEUE_FILE || DEFAULT_QUEUE_PATH);
+  return createWebhookDispatcher(loadWebhookConfig(env), { queueFile });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  loadWebhookConfig,
+  normalizeWebhookConfig,
+  signPayload,
+  createWebhookDispatcher,
+  createWebhookDispatcherFromEnv,
+};
@@ -0,0 +1,63 @@
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+
+/**
+ * Replays recorded Shopmonkey webhook payloads against a running connector, signed with
+ * SHOPMONKEY_WEBHOOK_SECRET the way Shopmonkey signs them.
+ *
+ *   node scripts/replay-shopmonkey-webhook.js samples/shopmonkey-webhooks/*.json
+ *   node scripts/replay-shopmonkey-webhook.js --url http://localhost:3000/webhooks/shopmonkey data/shopmonkey-events.jsonl
+ *
+ * .json files hold one payload; .jsonl files (such as the connector's own event log) hold one per line.
+ */
+
+const args = process.argv.slice(2);
+let url = `http://localhost:${process.env.PORT || 3000}/webhooks/shopmonkey`;
+const urlFlag = args.indexOf("--url");
+if (urlFlag !== -1) {
+  url = args[urlFlag + 1];
+  args.splice(urlFlag, 2);
+}
+
+const secret = process.env.SHOPMONKEY_WEBHOOK_SECRET;
+const header = process.env.SHOPMONKEY_WEBHOOK_SIGNATURE_HEADER || "X-Shopmonkey-Signature";
+
+if (!secret || args.length === 0) {
+  console.error("Usage: SHOPMONKEY_WEBHOOK_SECRET=... node scripts/replay-shopmonkey-webhook.js [--url URL] <payload.json|events.jsonl>...");
+  process.exit(1);
+}
+
+function readPayloads(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (!file.endsWith(".jsonl")) return [text.trim()];
+  // Log lines are normalized events; send them back in the { id, event, data } shape
+  return text.split("\n").filter(Boolean).map((line) => {
+    const event = JSON.parse(line);
+    return JSON.stringify({ id: event.id, event: event.type, timestamp: event.occurredAt, data: event.data });
+  });
+}
+
+async function replay() {
+  let failed = 0;
+  for (const file of args) {
+    for (const body of readPayloads(file)) {
+      const signature = crypto.createHmac("sha256", secret).update(body).digest("hex");
+      try {
+        const response = await axios.post(url, body, {
+          headers: { "Content-Type": "application/json", [header]: signature },
+          validateStatus: () => true,
+        });
+        console.log(`[INFO] ${file}: ${response.status} ${JSON.stringify(response.data)}`);
+        if (response.status >= 300) failed += 1;
+      } catch (error) {
+        console.error(`[ERROR] ${file}: ${error.message}`);
+        failed += 1;
+      }
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+replay();
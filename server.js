@@ -1,39 +1,220 @@
 require("dotenv").config();
 const express = require("express");
-const axios = require("axios");
 const cors = require("cors");
+const {
+  getShopDateString,
+  getShopDay,
+  getOpenIntervals,
+} = require("./lib/schedule");
+const { POLICY_CODES, checkBookingPolicy, checkBookingTiming, getBookingHorizon } = require("./lib/bookingPolicy");
+const { loadLocations, locationResolver } = require("./lib/locations");
+const { resolveService } = require("./lib/services");
+const { getSlotCapacity } = require("./lib/capacity");
+const { findAppointmentsInRange, findCustomerAppointments } = require("./lib/appointmentQuery");
+const { createMemoryLockStore, createSlotLocker } = require("./lib/slotLocks");
+const { createHoldStore } = require("./lib/slotHolds");
+const { createIdempotencyStoreFromEnv, createIdempotencyMiddleware } = require("./lib/idempotency");
+const { UpstreamUnavailableError } = require("./lib/shopmonkeyClient");
+const { createTtlCache } = require("./lib/cache");
+const { decodeVin } = require("./lib/vin");
+const { getVehicleDictionary } = require("./lib/vehicleNames");
+const { parsePhone, phoneValidator } = require("./lib/phone");
+const { parseAppointmentHint, matchAppointments } = require("./lib/appointmentMatch");
+const {
+  SERVICE_AUTHORIZATION,
+  formatMoney,
+  isOpenOrder,
+  acceptsApprovals,
+  describeOrder,
+  serviceAuthorization,
+  serviceTotal,
+  describeService,
+} = require("./lib/orders");
+const { WEBHOOK_EVENTS, createWebhookDispatcherFromEnv } = require("./lib/webhooks");
+const { verifyShopmonkeySignature, createShopmonkeyEventReceiverFromEnv } = require("./lib/shopmonkeyEvents");
+const { loadMessageTemplates, renderMessages } = require("./lib/messages");
+const { createMessageTransportFromEnv } = require("./lib/messageTransports");
+const { createReminderSchedulerFromEnv } = require("./lib/reminders");
+const { parseVehicleDetails, applyVinDecoding, compareVehicle, findMatchingVehicle, vehicleFields, describeVehicle } = require("./lib/vehicles");
 
 // --- App Initialization & Middleware ---
 const app = express();
-app.use(express.json());
+// The raw body is kept for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cors());
 
 // --- Environment Variable Validation ---
-const { PORT, SHOPMONKEY_API_KEY, LOCATION_ID } = process.env;
-const SHOP_TIMEZONE = "America/Los_Angeles"; // IMPORTANT: Set this to your shop's timezone
+const { PORT } = process.env;
+
+// --- Location Registry ---
+// Each shop has its own Shopmonkey API client, location ID, timezone, hours and slot length.
+let locationRegistry;
+try {
+  locationRegistry = loadLocations();
+} catch (error) {
+  console.error(`FATAL ERROR: Invalid location config: ${error.message}`);
+  process.exit(1);
+}
 
-if (!SHOPMONKEY_API_KEY || !LOCATION_ID) {
-  console.error(
-    "FATAL ERROR: SHOPMONKEY_API_KEY and LOCATION_ID must be defined in the .env file."
-  );
+// --- Vehicle Names ---
+// Canonical make/model dictionary used to normalize what speech-to-text heard.
+try {
+  getVehicleDictionary();
+} catch (error) {
+  console.error(`FATAL ERROR: Invalid vehicle dictionary: ${error.message}`);
+  process.exit(1);
+}
+
+// --- Outbound Webhooks ---
+// Signed appointment events for the shop's Slack bot / CRM, queued on disk and retried with backoff.
+let webhooks;
+try {
+  webhooks = createWebhookDispatcherFromEnv();
+} catch (error) {
+  console.error(`FATAL ERROR: Invalid webhook config: ${error.message}`);
+  process.exit(1);
+}
+webhooks.start();
+
+// --- Customer Messages ---
+// Confirmation, reschedule and cancellation texts/emails, and day-before reminders.
+let messageTemplates;
+let messageTransport;
+let reminders;
+try {
+  messageTemplates = loadMessageTemplates();
+  messageTransport = createMessageTransportFromEnv();
+  reminders = createReminderSchedulerFromEnv(deliverReminder);
+} catch (error) {
+  console.error(`FATAL ERROR: Invalid customer message config: ${error.message}`);
+  process.exit(1);
+}
+reminders.start();
+// How often upcoming appointments (including ones made in Shopmonkey) are checked for reminders; 0 turns the sweep off
+const REMINDER_SWEEP_MINUTES = Number(process.env.REMINDER_SWEEP_MINUTES || 60);
+if (!Number.isFinite(REMINDER_SWEEP_MINUTES) || REMINDER_SWEEP_MINUTES < 0) {
+  console.error(`FATAL ERROR: Invalid REMINDER_SWEEP_MINUTES '${process.env.REMINDER_SWEEP_MINUTES}'. Use a number of minutes, or 0 to turn the sweep off.`);
+  process.exit(1);
+}
+const REMINDER_SWEEP_AHEAD_HOURS = 48;
+
+// --- Slot Reservation Locks ---
+// Serializes check-then-write for /booking and /update-appointment. Swap the store for a shared one when running several instances.
+const withSlotLock = createSlotLocker(createMemoryLockStore());
+
+// --- Slot Holds ---
+// Short-lived reservations made by /hold-slot while the agent collects the caller's details.
+const slotHolds = createHoldStore({
+  defaultTtlMs: (Number(process.env.SLOT_HOLD_TTL_SECONDS) || 300) * 1000,
+  maxTtlMs: (Number(process.env.SLOT_HOLD_MAX_TTL_SECONDS) || 900) * 1000,
+});
+
+// --- Idempotency Keys ---
+// Mutating routes replay the original response for a repeated Idempotency-Key (memory or file store).
+const idempotent = createIdempotencyMiddleware(createIdempotencyStoreFromEnv(), {
+  ttlMs: (Number(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60) * 1000,
+});
+
+// --- Cancellation Mode ---
+// "soft" (default) marks the appointment Canceled so it stays in no-show/cancel reporting; "delete" removes it.
+const CANCEL_MODE = process.env.CANCEL_MODE || "soft";
+if (!["soft", "delete"].includes(CANCEL_MODE)) {
+  console.error(`FATAL ERROR: Invalid CANCEL_MODE '${CANCEL_MODE}'. Use "soft" or "delete".`);
   process.exit(1);
 }
 
-// --- Shopmonkey API Client (v3) ---
-const shopmonkeyApi = axios.create({
-  baseURL: "https://api.shopmonkey.cloud/v3",
-  headers: {
-    Authorization: `Bearer ${SHOPMONKEY_API_KEY}`,
-    "Content-Type": "application/json",
-    Accept: "application/json",
-  },
+// Who made a change, in the notes advisors read (cancellations, estimate approvals)
+const CHANGE_SOURCE = "voice agent";
+
+// --- Lookup Cache ---
+// Customer, vehicle and appointment lookups repeat within one phone call; writes invalidate by tag.
+const lookupCache = createTtlCache({ defaultTtlMs: (Number(process.env.CACHE_TTL_SECONDS) || 60) * 1000 });
+const AVAILABILITY_CACHE_TTL_MS = (Number(process.env.AVAILABILITY_CACHE_TTL_SECONDS) || 15) * 1000;
+
+// --- Availability Search Limits ---
+const MAX_RANGE_DAYS = 14; // Longest startRange..endRange a single call may cover
+const NEXT_AVAILABLE_DEFAULT_COUNT = 3; // Slots returned by mode "next" when no limit is given
+const NEXT_AVAILABLE_MAX_COUNT = 20;
+const NEXT_AVAILABLE_MAX_DAYS = 30; // How far ahead mode "next" looks before giving up
+const SEARCH_CHUNK_DAYS = 7; // Days of appointments fetched per (paged) Shopmonkey search
+const LIST_PAST_DEFAULT_DAYS = 30; // History returned by /list-appointments when includePast is set
+const LIST_PAST_MAX_DAYS = 365;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_TYPES = ["Mobile", "Home", "Work", "Other"];
+const ORDER_PAGE_SIZE = 100; // Orders read per page by /order-status and /estimate-services
+const ORDER_MAX_PAGES = 10; // Hard cap on order pages per customer
+
+// --- Shopmonkey Webhooks ---
+// Changes made directly in Shopmonkey. Registered before locationResolver: events carry their own locationId.
+const SHOPMONKEY_WEBHOOK_SECRET = process.env.SHOPMONKEY_WEBHOOK_SECRET;
+const SHOPMONKEY_SIGNATURE_HEADER = process.env.SHOPMONKEY_WEBHOOK_SIGNATURE_HEADER || "X-Shopmonkey-Signature";
+const shopmonkeyEvents = createShopmonkeyEventReceiverFromEnv();
+shopmonkeyEvents.start();
+
+app.post("/webhooks/shopmonkey", async (req, res, next) => {
+  if (!SHOPMONKEY_WEBHOOK_SECRET) {
+    return res.status(404).json({ success: false, message: "Shopmonkey webhooks are not configured." });
+  }
+  if (!verifyShopmonkeySignature(req.rawBody, req.get(SHOPMONKEY_SIGNATURE_HEADER), SHOPMONKEY_WEBHOOK_SECRET)) {
+    console.log(`[WARN] Rejected Shopmonkey webhook with a missing or invalid ${SHOPMONKEY_SIGNATURE_HEADER}`);
+    return res.status(401).json({ success: false, code: "INVALID_SIGNATURE", message: "Invalid webhook signature." });
+  }
+
+  try {
+    const { status, event } = await shopmonkeyEvents.receive(req.body, req.rawBody);
+    if (event) console.log(`[INFO] Shopmonkey webhook ${event.type} (${event.id}): ${status}`);
+    // Always 200 once verified, so Shopmonkey doesn't retry duplicates or event types we don't track
+    return res.status(200).json({ success: true, status, eventId: event ? event.id : null });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Appointment/customer/vehicle changes made in Shopmonkey make cached lookups stale
+shopmonkeyEvents.on("appointment", (event) => {
+  eventLocations(event).forEach((location) => {
+    invalidateAppointmentCaches(location, event.data.customerId);
+  });
+  if (event.action === "deleted" || event.data.status === "Canceled") {
+    console.log(`[INFO] Appointment ${event.data.id} was ${event.action === "deleted" ? "deleted" : "canceled"} in Shopmonkey; its slot is free again`);
+    eventLocations(event).forEach((location) => reminders.cancel(location.key, event.data.id));
+  } else if (event.data.startDate && locationRegistry.get(event.locationId)) {
+    reminders.schedule(locationRegistry.get(event.locationId), event.data);
+  }
+});
+
+shopmonkeyEvents.on("customer", (event) => {
+  eventLocations(event).forEach((location) => {
+    lookupCache.invalidateTag(`${location.key}:customer:${event.data.id}`);
+    // A cached "not found" for a number that now belongs to this customer
+    (event.data.phoneNumbers || []).forEach((phoneNumber) => {
+      try {
+        lookupCache.invalidate(`${location.key}:phone:${normalizeToE164(location, phoneNumber.number)}`);
+      } catch (error) {
+        // Numbers our parser rejects were never cached
+      }
+    });
+  });
+});
+
+shopmonkeyEvents.on("vehicle", (event) => {
+  eventLocations(event).forEach((location) => {
+    lookupCache.invalidateTag(`${location.key}:vehicle:${event.data.id}`);
+    if (event.data.customerId) lookupCache.invalidateTag(`${location.key}:customer:${event.data.customerId}`);
+  });
 });
 
+// Attaches req.location (from body, X-Location-Id header or dialed number) to every request
+app.use(locationResolver(locationRegistry));
+// Every endpoint that takes "phone" gets it validated (INVALID_PHONE) before any Shopmonkey call
+app.use(phoneValidator());
+
 // --- API Endpoints ---
 
 // 1. fetch-customer-detail API
 app.post("/fetch-customer-detail", async (req, res, next) => {
   const { phone } = req.body;
+  const location = req.location;
 
   console.log(`[INFO] /fetch-customer-detail called with phone: ${phone}`);
 
@@ -46,7 +227,7 @@ app.post("/fetch-customer-detail", async (req, res, next) => {
   }
 
   try {
-    const customer = await findCustomerByPhone(phone);
+    const customer = await findCustomerByPhone(location, phone);
 
     if (!customer) {
       console.log(`[INFO] Customer not found for phone: ${phone}`);
@@ -82,168 +263,126 @@ app.post("/fetch-customer-detail", async (req, res, next) => {
   }
 });
 
+let availabilityRequestCount = 0;
+
 // 2. check-availability API
-// 2. check-availability API
+// mode "range" (default): every open slot in startRange..endRange, or the whole shop day of startRange.
+// mode "next": the first `limit` open slots from startRange (or now) across the coming days.
 app.post("/check-availability", async (req, res, next) => {
-  const { startRange } = req.body;
-  const durationMinutes = 30;
+  const { startRange, endRange, mode = "range", limit, title, serviceCode, resourceId } = req.body;
+  const location = req.location;
+
+  // A label per request so overlapping calls don't share a timer; it stops however the request ends
+  const timerLabel = `check-availability-timer #${++availabilityRequestCount}`;
+  console.time(timerLabel); // Timer Start
+  res.on("close", () => console.timeEnd(timerLabel));
 
-  console.time('check-availability-timer'); // Timer Start
+  if (mode !== "range" && mode !== "next") {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: 'mode' must be either 'range' or 'next'.",
+    });
+  }
 
-  if (!startRange) {
+  if (!startRange && mode === "range") {
     return res.status(400).json({
       success: false,
       message: "Missing required parameter 'startRange'.",
     });
   }
 
-  try {
-    const inputDate = new Date(startRange);
-
-    // --- STEP 1: DETERMINE THE EXACT DAY IN SHOP TIMEZONE ---
-    // We break the input date down into "Shop Time" components to ensure we are targeting the right day.
-    const formatter = new Intl.DateTimeFormat("en-US", {
-      timeZone: SHOP_TIMEZONE,
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-    });
-    
-    // This gives us "12/08/2025" regardless of whether input was UTC or PST
-    const [{ value: month },,{ value: day },,{ value: year }] = formatter.formatToParts(inputDate);
-    const shopDateString = `${year}-${month}-${day}`;
-
-    console.log(`[DEBUG] Input: ${startRange}`);
-    console.log(`[DEBUG] Shop Target Date: ${shopDateString} (${SHOP_TIMEZONE})`);
-
-    // --- STEP 2: DEFINE SEARCH BOUNDARIES ---
-    // We construct a window that definitely covers the Shop's day.
-    // We simply search from 12:00 AM to 11:59 PM of that specific shop day.
-    // Note: We interpret this string as if it's in the shop timezone by appending the input's offset or handling it in the loop.
-    // A robust way to ensure we get the full UTC range for "Monday in LA":
-    // 8 AM PST is approx 16:00 UTC. 
-    // We will set our search cursor to a safe 'start' (Midnight UTC of requested day) and iterate sufficiently.
-    
-    // Simple approach: Use the input date, reset to 12:00 PM UTC, then scan +/- 18 hours.
-    // This covers all timezone possibilities for a single day.
-    const baseDate = new Date(startRange); 
-    // Reset base to rough middle of day to avoid edge cases
-    baseDate.setUTCHours(12, 0, 0, 0); 
-    
-    const searchLoopStart = new Date(baseDate.getTime() - 18 * 60 * 60 * 1000); // Look back 18h
-    const searchLoopEnd = new Date(baseDate.getTime() + 18 * 60 * 60 * 1000);   // Look forward 18h
-
-    console.log(`[DEBUG] Search Loop (UTC): ${searchLoopStart.toISOString()} to ${searchLoopEnd.toISOString()}`);
-
-    // --- STEP 3: FETCH APPOINTMENTS (Only strictly for this window) ---
-    // As per your request: No 24h buffer. Just what is in this window.
-    const searchPayload = {
-      where: {
-        locationId: { _eq: LOCATION_ID },
-        startDate: { gte: searchLoopStart.toISOString() },
-        endDate: { lte: searchLoopEnd.toISOString() },
-        status: { _neq: "Canceled" },
-      },
-      limit: 100,
-    };
+  const rangeStart = startRange ? new Date(startRange) : new Date();
+  if (isNaN(rangeStart.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: 'startRange' is invalid. Please provide a valid ISO 8601 date string.",
+    });
+  }
 
-    const response = await shopmonkeyApi.post("/appointment/search", searchPayload);
-    const existingAppointments = response.data.data || [];
-    console.log(`[DEBUG] Found ${existingAppointments.length} existing appointments in this window.`);
-
-    // --- STEP 4: GENERATE AND FILTER SLOTS ---
-    const currentNow = new Date();
-    const potentialSlots = [];
-    
-    let slotTime = new Date(searchLoopStart);
-    // Align to nearest 30 min to be clean
-    if(slotTime.getMinutes() > 30) slotTime.setMinutes(60,0,0);
-    else if(slotTime.getMinutes() > 0) slotTime.setMinutes(30,0,0);
-
-    // Loop through the wide window, but only keep slots that match the specific Shop Date and Hours
-    while (slotTime < searchLoopEnd) {
-      
-      // 1. Convert Current Slot to Shop Details
-      const shopTime = getShopTimeDetails(slotTime); 
-      // Returns: { year: 2025, month: 12, day: 8, weekday: 1 (Mon), hour: 8, minute: 0 }
-      
-      // 2. CHECK: Is this slot actually on the requested day?
-      // (This filters out Sunday night or Tuesday morning that might be in the buffer)
-      // We compare YYYY-MM-DD
-      const currentSlotDateString = `${shopTime.year}-${String(shopTime.month).padStart(2,'0')}-${String(shopTime.day).padStart(2,'0')}`;
-      
-      if (currentSlotDateString === shopDateString) {
-        
-        // 3. CHECK: Business Hours
-        let isOpen = false;
-        let openHour = 0;
-        let openMinute = 0;
-        let closeHour = 0;
-        let closeMinute = 0;
-
-        if (shopTime.weekday >= 1 && shopTime.weekday <= 5) { // Mon-Fri
-          isOpen = true;
-          openHour = 8;
-          openMinute = 0;
-          closeHour = 16;
-          closeMinute = 30;
-        } else if (shopTime.weekday === 6) { // Sat
-          isOpen = true;
-          openHour = 9;
-          openMinute = 0;
-          closeHour = 11;
-          closeMinute = 0;
-        }
+  const rangeEnd = endRange ? new Date(endRange) : null;
+  if (rangeEnd && (isNaN(rangeEnd.getTime()) || rangeEnd <= rangeStart)) {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: 'endRange' must be a valid ISO 8601 date string after 'startRange'.",
+    });
+  }
 
-        const slotMinutes = shopTime.hour * 60 + shopTime.minute;
-        const openMinutes = openHour * 60 + openMinute;
-        const closeMinutes = closeHour * 60 + closeMinute;
-
-        if (isOpen && slotMinutes >= openMinutes && slotMinutes < closeMinutes) {
-          
-          const candidateStart = new Date(slotTime);
-          const candidateEnd = new Date(candidateStart.getTime() + durationMinutes * 60000);
-          let isValid = true;
-
-          // 4. CHECK: Saturday 24h Notice
-          if (shopTime.weekday === 6) {
-            if ((candidateStart.getTime() - currentNow.getTime()) < (24 * 60 * 60 * 1000)) {
-               // Optional: Log discarded Saturday slots
-               // console.log(`[DEBUG] Discarded Sat Slot (Too soon): ${candidateStart.toISOString()}`);
-               isValid = false;
-            }
-          }
-
-          // 5. CHECK: Conflicts
-          if (isValid) {
-            const isOverlapping = existingAppointments.some((appt) => {
-              const apptStart = new Date(appt.startDate);
-              const apptEnd = new Date(appt.endDate);
-              // Standard Overlap Logic
-              return apptStart < candidateEnd && apptEnd > candidateStart;
-            });
-
-            if (isOverlapping) {
-               // console.log(`[DEBUG] Slot Conflict: ${candidateStart.toISOString()}`);
-               isValid = false;
-            }
-          }
-
-          if (isValid) {
-            potentialSlots.push(candidateStart);
-          }
-        }
+  // Slots are spaced by the location's slot length, but each must fit the whole service
+  const service = resolveService(location.services, { title, serviceCode }, location.slotMinutes);
+  if (!service) {
+    return res.status(400).json({
+      success: false,
+      code: "UNKNOWN_SERVICE",
+      message: `Client error: Unknown serviceCode '${serviceCode}'.`,
+    });
+  }
+  const durationMinutes = service.durationMinutes;
+
+  // Searches entirely outside the bookable window get the policy reason instead of an empty list
+  const now = new Date();
+  const horizon = getBookingHorizon(location.policy, now);
+  const searchInPast = rangeEnd
+    ? rangeEnd < now
+    : mode === "range" && getShopDateString(rangeStart, location.timeZone) < getShopDateString(now, location.timeZone);
+  if (rangeStart > horizon) {
+    return res.status(422).json({
+      success: false,
+      code: POLICY_CODES.BEYOND_BOOKING_HORIZON,
+      message: `Appointments can only be booked up to ${location.policy.maxHorizonDays} days ahead.`,
+    });
+  }
+  if (searchInPast) {
+    return res.status(422).json({
+      success: false,
+      code: POLICY_CODES.BOOKING_IN_PAST,
+      message: "The requested dates have already passed.",
+    });
+  }
+
+  try {
+    let shopDates;
+    let scanOptions;
+
+    if (mode === "next") {
+      // --- NEXT AVAILABLE: walk forward day by day until enough slots are found (never past the horizon) ---
+      const wanted = Math.min(Math.max(parseInt(limit, 10) || NEXT_AVAILABLE_DEFAULT_COUNT, 1), NEXT_AVAILABLE_MAX_COUNT);
+      const notBefore = rangeStart > now ? rangeStart : now;
+      const searchUntil = new Date(Math.min(notBefore.getTime() + (NEXT_AVAILABLE_MAX_DAYS - 1) * 24 * 60 * 60 * 1000, horizon.getTime()));
+      shopDates = listShopDates(location, notBefore, searchUntil);
+      scanOptions = { durationMinutes, resourceId, now, notBefore, notAfter: rangeEnd, maxSlots: wanted };
+    } else {
+      // --- RANGE: every shop day touched by startRange..endRange (or just the startRange day) ---
+      shopDates = rangeEnd ? listShopDates(location, rangeStart, rangeEnd) : [getShopDateString(rangeStart, location.timeZone)];
+      if (shopDates.length > MAX_RANGE_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Client error: The search range covers ${shopDates.length} days. Please search at most ${MAX_RANGE_DAYS} days at a time.`,
+        });
       }
+      scanOptions = { durationMinutes, resourceId, now, notBefore: rangeEnd ? rangeStart : null, notAfter: rangeEnd, maxSlots: Infinity };
+    }
+
+    console.log(`[DEBUG] Mode: ${mode} | Shop Dates: ${shopDates[0]} to ${shopDates[shopDates.length - 1]} (${location.timeZone})`);
 
-      // Increment 30 mins
-      slotTime.setMinutes(slotTime.getMinutes() + 30);
+    const { slots, closedDays } = await scanShopDays(location, shopDates, scanOptions);
+
+    // A single closed day keeps the original response shape so the agent can read the reason
+    if (shopDates.length === 1 && closedDays.length === 1) {
+      console.log(`[INFO] ${closedDays[0].code}: ${closedDays[0].message}`);
+      return res.status(200).json({
+        success: true,
+        code: closedDays[0].code,
+        message: closedDays[0].message,
+        availableSlots: [],
+      });
     }
 
-    const formattedSlots = potentialSlots.map((date) => {
+    const formattedSlots = slots.map(({ start: date, spotsLeft }) => {
       return {
         iso: date.toISOString(),
+        spotsLeft,
         readable: date.toLocaleString("en-US", {
-          timeZone: SHOP_TIMEZONE,
+          timeZone: location.timeZone,
           weekday: "short",
           month: "short",
           day: "numeric",
@@ -255,16 +394,16 @@ app.post("/check-availability", async (req, res, next) => {
     });
 
     console.log(`[DEBUG] Final Available Slots Count: ${formattedSlots.length}`);
-    console.timeEnd('check-availability-timer');
 
     res.status(200).json({
       success: true,
       message: `Found ${formattedSlots.length} available slots.`,
+      service: { code: service.code, name: service.name, durationMinutes },
       availableSlots: formattedSlots,
+      closedDays,
     });
 
   } catch (error) {
-    console.timeEnd('check-availability-timer');
     return next(error);
   }
 });
@@ -272,15 +411,15 @@ app.post("/check-availability", async (req, res, next) => {
 
 
 // 3. booking API
-app.post("/booking", async (req, res, next) => {
-  const { phone, make, model, title, startDate, name } = req.body;
-  const durationMinutes = 30; // Fixed default duration
+app.post("/booking", idempotent, async (req, res, next) => {
+  const { phone, make, model, vin, title, serviceCode, resourceId, holdToken, startDate, name } = req.body;
+  const location = req.location;
 
-  // Basic validation
-  if (!phone || !make || !model || !title || !startDate || !name) {
+  // Basic validation (make can come from the VIN)
+  if (!phone || !(make || vin) || !model || !title || !startDate || !name) {
     return res.status(400).json({
       success: false,
-      message: "Client error: Missing required fields (phone, make, model, title, startDate, name).",
+      message: "Client error: Missing required fields (phone, make or vin, model, title, startDate, name).",
     });
   }
 
@@ -293,99 +432,169 @@ app.post("/booking", async (req, res, next) => {
     });
   }
 
+  // Vehicle Details Validation (optional year, VIN, plate, color, trim)
+  let vehicleDetails;
   try {
-    // --- Check for Availability (Double-Booking Prevention) ---
-    const end = new Date(start.getTime() + durationMinutes * 60000);
-
-    // Search window: +/- 24 hours to ensure we catch any overlapping appointments
-    // We fetch a broader range and filter in memory to be 100% sure of overlaps.
-    const searchStartWindow = new Date(start.getTime() - 24 * 60 * 60 * 1000);
-    const searchEndWindow = new Date(start.getTime() + 24 * 60 * 60 * 1000);
-
-    const searchPayload = {
-      where: {
-        locationId: { _eq: LOCATION_ID },
-        startDate: {
-          gte: searchStartWindow.toISOString(),
-          lte: searchEndWindow.toISOString()
-        },
-        status: { _neq: "Canceled" }
-      },
-      limit: 100, // Ensure we fetch enough appointments to find the conflict
-    };
+    vehicleDetails = parseVehicleDetails(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, code: error.code, message: `Client error: ${error.message}` });
+  }
+  // The VIN decides make and year when the caller gave one
+  const vehicleCorrections = applyVinDecoding(vehicleDetails);
+  vehicleCorrections.forEach(({ field, from, to }) => console.log(`[INFO] VIN corrected ${field}: ${from} -> ${to}`));
+  if (!vehicleDetails.make) {
+    return res.status(400).json({
+      success: false,
+      code: "INVALID_VEHICLE_DETAILS",
+      message: "Client error: The make could not be read from this VIN. Please provide 'make'.",
+    });
+  }
 
-    console.log(`[INFO] Checking availability for: ${start.toISOString()} - ${end.toISOString()}`);
+  // Service Duration
+  const service = resolveService(location.services, { title, serviceCode }, location.slotMinutes);
+  if (!service) {
+    return res.status(400).json({
+      success: false,
+      code: "UNKNOWN_SERVICE",
+      message: `Client error: Unknown serviceCode '${serviceCode}'.`,
+    });
+  }
+  const durationMinutes = service.durationMinutes;
+  console.log(`[INFO] Service: ${service.name || title} (${service.code || "no catalog match"}) - ${durationMinutes} min`);
 
-    const availabilityResponse = await shopmonkeyApi.post(
-      "/appointment/search",
-      searchPayload
-    );
+  const end = new Date(start.getTime() + durationMinutes * 60000);
 
-    const potentialConflicts = availabilityResponse.data.data || [];
+  // Hold Validation: a held slot only counts if it is still live and for this exact time, length and resource
+  if (holdToken) {
+    const hold = slotHolds.get(holdToken);
+    if (!hold || hold.locationKey !== location.key) {
+      return res.status(410).json({
+        success: false,
+        code: "HOLD_EXPIRED",
+        message: "The hold on this time slot has expired. Please check availability again.",
+      });
+    }
+    const holdMismatch = describeHoldMismatch(hold, start, end, resourceId);
+    if (holdMismatch) {
+      return res.status(400).json({
+        success: false,
+        code: "HOLD_MISMATCH",
+        message: `Client error: ${holdMismatch}`,
+      });
+    }
+  }
 
-    // Strict In-Memory Overlap Check
-    const conflictingAppointment = potentialConflicts.find((appt) => {
-      const apptStart = new Date(appt.startDate);
-      const apptEnd = new Date(appt.endDate);
+  // Booking Policy Validation (business hours, lead time, notice, horizon)
+  const policyCheck = checkBookingPolicy(location, start, end);
+  if (!policyCheck.ok) {
+    console.log(`[WARN] Booking rejected (${policyCheck.code}): ${policyCheck.message}`);
+    return res.status(422).json({
+      success: false,
+      code: policyCheck.code,
+      message: policyCheck.message,
+    });
+  }
 
-      // Check if this specific appointment overlaps with our requested slot
-      // Overlap logic: (StartA < EndB) and (EndA > StartB)
-      const isOverlapping = apptStart < end && apptEnd > start;
+  try {
+    // Everything from the capacity check to the re-verify runs under the day's slot lock
+    return await withSlotLock(slotLockKeys(location, start, end), async () => {
+      // --- Check for Availability (Double-Booking Prevention) ---
 
-      if (isOverlapping) {
-        console.log(`[DEBUG] Conflict found with Appt ID: ${appt.id} | Time: ${appt.startDate} - ${appt.endDate}`);
-      }
-      return isOverlapping;
-    });
+      console.log(`[INFO] Checking availability for: ${start.toISOString()} - ${end.toISOString()}`);
 
-    if (conflictingAppointment) {
-      console.log(`[WARN] Booking failed: Slot occupied by Appt ID ${conflictingAppointment.id}`);
-      return res.status(409).json({ // 409 Conflict
-        success: false,
-        message: "The requested time slot is already booked. Please choose a different time.",
-      });
-    }
+      // Our own hold (if any) is left out so the held slot is guaranteed to be free
+      const slotCapacity = await checkSlotAvailability(location, start, end, { resourceId, holdToken });
 
-    // --- Customer & Vehicle Logic ---
+      if (!slotCapacity.available) {
+        console.log(`[WARN] Booking failed: Slot full (${slotCapacity.booked}/${slotCapacity.capacity} booked)`);
+        return res.status(409).json({ // 409 Conflict
+          success: false,
+          message: "The requested time slot is already booked. Please choose a different time.",
+        });
+      }
 
-    // 1. Find or Create Customer
-    const { customerData, wasCreated: customerCreated } = await findOrCreateCustomer({ name, phone });
+      // --- Customer & Vehicle Logic ---
 
-    // 2. Find or Create Vehicle
-    // We use the customer ID to look for vehicles
-    const { vehicleData, wasCreated: vehicleCreated } = await findOrCreateVehicle(customerData.id, { make, model });
+      // 1. Find or Create Customer
+      const { customerData, wasCreated: customerCreated } = await findOrCreateCustomer(location, { name, phone });
 
-    // --- Create Appointment ---
+      // 2. Find or Create Vehicle
+      // We use the customer ID to look for vehicles
+      const { vehicleData, wasCreated: vehicleCreated } = await findOrCreateVehicle(location, customerData.id, vehicleDetails);
 
-    // Format Title: Name / Make Model / Reason (Year removed)
-    const vehicleString = `${vehicleData.make} ${vehicleData.model}`.trim();
-    const appointmentTitle = `${customerData.firstName} ${customerData.lastName ? customerData.lastName[0] + '.' : ''} / ${vehicleString} / ${title}`;
+      // --- Create Appointment ---
 
-    const appointmentPayload = {
-      customerId: customerData.id,
-      vehicleId: vehicleData.id,
-      locationId: LOCATION_ID,
-      name: appointmentTitle,
-      startDate: start.toISOString(),
-      endDate: end.toISOString(),
-      color: "blue",
-    };
+      // Format Title: Name / Make Model / Reason (Year removed)
+      const vehicleString = `${vehicleData.make} ${vehicleData.model}`.trim();
+      const appointmentTitle = `${customerData.firstName} ${customerData.lastName ? customerData.lastName[0] + '.' : ''} / ${vehicleString} / ${title}`;
 
-    await shopmonkeyApi.post("/appointment", appointmentPayload);
+      const appointmentPayload = {
+        customerId: customerData.id,
+        vehicleId: vehicleData.id,
+        locationId: location.locationId,
+        name: appointmentTitle,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        color: "blue",
+      };
+      if (resourceId && location.capacity.resourceField) {
+        appointmentPayload[location.capacity.resourceField] = resourceId;
+      }
 
-    const localAppointmentTime = formatToShopTime(start);
-    const successMessage = `Success! Appointment confirmed for ${name} with ${vehicleString} on ${localAppointmentTime}.`;
+      const createResponse = await location.api.post("/appointment", appointmentPayload);
+      const createdAppointment = createResponse.data.data;
+      invalidateAppointmentCaches(location, customerData.id);
+
+      // --- Re-verify: another instance may have booked the same slot in parallel ---
+      if (await lostBookingRace(location, createdAppointment.id, start, end, slotCapacity.appointments, { resourceId, holdToken })) {
+        console.log(`[WARN] Booking race detected. Rolling back Appt ID ${createdAppointment.id}`);
+        await location.api.delete(`/appointment/${createdAppointment.id}`, { data: {} });
+        invalidateAppointmentCaches(location, customerData.id);
+        return res.status(409).json({
+          success: false,
+          message: "The requested time slot was just taken. Please choose a different time.",
+        });
+      }
 
-    console.log(`[SUCCESS] /booking: ${successMessage}`);
+      if (holdToken) slotHolds.release(holdToken);
+
+      const localAppointmentTime = formatToShopTime(location, start);
+      const successMessage = `Success! Appointment confirmed for ${name} with ${vehicleString} on ${localAppointmentTime}.`;
+
+      console.log(`[SUCCESS] /booking: ${successMessage}`);
+      publishAppointmentEvent(location, WEBHOOK_EVENTS.APPOINTMENT_CREATED, {
+        appointmentId: createdAppointment.id,
+        customerId: customerData.id,
+        customerName: name,
+        phone: normalizeToE164(location, phone),
+        vehicle: vehicleString,
+        service: service.name || title,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        readable: localAppointmentTime,
+      });
+      notifyCustomer(location, "confirmation", {
+        customer: customerData,
+        phone: normalizeToE164(location, phone),
+        appointment: createdAppointment,
+        vehicle: vehicleString,
+        service: service.name || title,
+      });
+      reminders.schedule(location, createdAppointment);
 
-    return res.status(201).json({
-      success: true,
-      message: successMessage,
-      details: {
+      const details = {
+        appointmentId: createdAppointment.id,
         customer: customerCreated ? "Created New" : "Existing",
         vehicle: vehicleCreated ? "Created New" : "Existing",
-        appointmentTime: localAppointmentTime
-      }
+        appointmentTime: localAppointmentTime,
+        service: service.name || title,
+        durationMinutes,
+        endDate: end.toISOString()
+      };
+      // Lets the agent confirm what the VIN changed ("I see it's a 2020 Honda")
+      if (vehicleCorrections.length > 0) details.vehicleCorrections = vehicleCorrections;
+
+      return res.status(201).json({ success: true, message: successMessage, details });
     });
 
   } catch (error) {
@@ -395,41 +604,47 @@ app.post("/booking", async (req, res, next) => {
 
 // 4. verify-appointment API
 app.post("/verify-appointment", async (req, res, next) => {
-  const { phone, make, model, originalDate } = req.body;
+  const { phone, make, model } = req.body;
+  const location = req.location;
 
-  if (!phone || !make || !model || !originalDate) {
+  if (!phone || !make || !model || !(req.body.appointmentId || req.body.originalDate)) {
     return res.status(400).json({
       success: false,
-      message: "Missing required fields: phone, make, model, originalDate.",
+      message: "Missing required fields: phone, make, model, and appointmentId or originalDate.",
     });
   }
 
   try {
-    const customer = await findCustomerByPhone(phone);
+    const hint = parseAppointmentHint(req.body);
+    const vehicleDetails = parseVehicleDetails(req.body);
+    applyVinDecoding(vehicleDetails);
+    const customer = await findCustomerByPhone(location, phone);
     if (!customer) {
       return res.status(404).json({ success: false, message: "Customer not found." });
     }
 
-    const appointment = await findAppointmentByDate(customer.id, originalDate);
-    if (!appointment) {
+    const candidates = await findAppointmentsByHint(location, customer.id, hint);
+    if (candidates.length === 0) {
       return res.status(404).json({ success: false, message: "Appointment not found for this date." });
     }
 
-    // Verify Vehicle
-    const vehicle = await getVehicleById(appointment.vehicleId);
-    if (!vehicle) {
-      return res.status(404).json({ success: false, message: "Vehicle associated with appointment not found." });
-    }
-
-    const makeMatch = isFuzzyMatch(vehicle.data.make, make);
-    const modelMatch = isFuzzyMatch(vehicle.data.model, model);
+    // Several appointments that day: the vehicle (VIN, plate, or make/model/year) usually tells them apart
+    const vehicles = await Promise.all(candidates.map((appt) => getVehicleById(location, appt.vehicleId)));
+    const matches = candidates.filter((appt, i) => vehicles[i] && compareVehicle(vehicles[i].data, vehicleDetails));
 
-    if (!makeMatch || !modelMatch) {
+    if (matches.length === 0) {
+      const vehicleMissing = candidates.length === 1 && !vehicles[0];
       return res.status(404).json({
         success: false,
-        message: "Appointment found, but vehicle details do not match."
+        message: vehicleMissing
+          ? "Vehicle associated with appointment not found."
+          : "Appointment found, but vehicle details do not match."
       });
     }
+    if (matches.length > 1) return sendAppointmentChoices(location, res, matches);
+
+    const appointment = matches[0];
+    const vehicle = vehicles[candidates.indexOf(appointment)];
 
     return res.status(200).json({
       success: true,
@@ -439,7 +654,7 @@ app.post("/verify-appointment", async (req, res, next) => {
         title: appointment.name,
         startDate: appointment.startDate,
         endDate: appointment.endDate,
-        vehicle: `${vehicle.data.make} ${vehicle.data.model}`
+        vehicle: describeVehicle(vehicle.data)
       }
     });
 
@@ -449,64 +664,136 @@ app.post("/verify-appointment", async (req, res, next) => {
 });
 
 // 5. cancel-appointment API
-app.post("/cancel-appointment", async (req, res, next) => {
-  const { phone, originalDate } = req.body;
+app.post("/cancel-appointment", idempotent, async (req, res, next) => {
+  const { phone, reason } = req.body;
+  const location = req.location;
 
-  if (!phone || !originalDate) {
-    return res.status(400).json({ success: false, message: "Missing required fields: phone, originalDate." });
+  if (!phone || !(req.body.appointmentId || req.body.originalDate)) {
+    return res.status(400).json({ success: false, message: "Missing required fields: phone, and appointmentId or originalDate." });
   }
 
   try {
-    const customer = await findCustomerByPhone(phone);
+    const hint = parseAppointmentHint(req.body);
+    const customer = await findCustomerByPhone(location, phone);
     if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
 
-    const appointment = await findAppointmentByDate(customer.id, originalDate);
-    if (!appointment) return res.status(404).json({ success: false, message: "Appointment not found." });
+    const matches = await findAppointmentsByHint(location, customer.id, hint);
+    if (matches.length === 0) return res.status(404).json({ success: false, message: "Appointment not found." });
+    if (matches.length > 1) return sendAppointmentChoices(location, res, matches);
+    const appointment = matches[0];
+
+    if (CANCEL_MODE === "delete") {
+      // Delete the appointment from Shopmonkey (provide empty body to satisfy content-type header requirement)
+      await location.api.delete(`/appointment/${appointment.id}`, { data: {} });
+      invalidateAppointmentCaches(location, customer.id);
+      announceCancellation(location, customer, phone, appointment, reason);
+      return res.status(200).json({ success: true, message: "Appointment deleted successfully." });
+    }
 
-    // Delete the appointment from Shopmonkey (provide empty body to satisfy content-type header requirement)
-    await shopmonkeyApi.delete(`/appointment/${appointment.id}`, { data: {} });
+    await softCancelAppointment(location, appointment, reason);
+    invalidateAppointmentCaches(location, customer.id);
+    console.log(`[INFO] Appt ID ${appointment.id} canceled by ${CHANGE_SOURCE}. Reason: ${reason || "none given"}`);
+    announceCancellation(location, customer, phone, appointment, reason);
 
-    return res.status(200).json({ success: true, message: "Appointment deleted successfully." });
+    return res.status(200).json({
+      success: true,
+      message: `Appointment on ${formatToShopTime(location, new Date(appointment.startDate))} canceled.`,
+      appointmentId: appointment.id,
+    });
   } catch (error) {
     return next(error);
   }
 });
 
 // 6. update-appointment API
-app.post("/update-appointment", async (req, res, next) => {
-  const { phone, originalDate, newDate } = req.body;
-  const durationMinutes = 30;
+app.post("/update-appointment", idempotent, async (req, res, next) => {
+  const { phone, newDate, title, serviceCode, resourceId } = req.body;
+  const location = req.location;
 
-  if (!phone || !originalDate || !newDate) {
-    return res.status(400).json({ success: false, message: "Missing required fields: phone, originalDate, newDate." });
+  if (!phone || !(req.body.appointmentId || req.body.originalDate) || !newDate) {
+    return res.status(400).json({ success: false, message: "Missing required fields: phone, appointmentId or originalDate, newDate." });
   }
 
   try {
-    const customer = await findCustomerByPhone(phone);
+    const hint = parseAppointmentHint(req.body);
+    const customer = await findCustomerByPhone(location, phone);
     if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
 
-    const appointment = await findAppointmentByDate(customer.id, originalDate);
-    if (!appointment) return res.status(404).json({ success: false, message: "Appointment not found." });
+    const matches = await findAppointmentsByHint(location, customer.id, hint);
+    if (matches.length === 0) return res.status(404).json({ success: false, message: "Appointment not found." });
+    if (matches.length > 1) return sendAppointmentChoices(location, res, matches);
+    const appointment = matches[0];
 
     // Check availability for newDate
     const start = new Date(newDate);
     if (isNaN(start.getTime())) {
       return res.status(400).json({ success: false, message: "Invalid newDate format." });
     }
+
+    // Keep the appointment's current length unless the caller is also changing the service
+    let durationMinutes;
+    if (title || serviceCode) {
+      const service = resolveService(location.services, { title, serviceCode }, location.slotMinutes);
+      if (!service) {
+        return res.status(400).json({ success: false, code: "UNKNOWN_SERVICE", message: `Unknown serviceCode '${serviceCode}'.` });
+      }
+      durationMinutes = service.durationMinutes;
+    } else {
+      const existingMinutes = (new Date(appointment.endDate) - new Date(appointment.startDate)) / 60000;
+      durationMinutes = existingMinutes > 0 ? existingMinutes : location.slotMinutes;
+    }
     const end = new Date(start.getTime() + durationMinutes * 60000);
 
-    // Check for conflicts (excluding current appointment)
-    const isSlotAvailable = await checkSlotAvailability(start, end, appointment.id);
-    if (!isSlotAvailable) {
-      return res.status(409).json({ success: false, message: "The new time slot is already booked." });
+    const policyCheck = checkBookingPolicy(location, start, end);
+    if (!policyCheck.ok) {
+      console.log(`[WARN] Reschedule rejected (${policyCheck.code}): ${policyCheck.message}`);
+      return res.status(422).json({ success: false, code: policyCheck.code, message: policyCheck.message });
     }
 
-    await shopmonkeyApi.put(`/appointment/${appointment.id}`, {
-      startDate: start.toISOString(),
-      endDate: end.toISOString()
-    });
+    // Check for conflicts (excluding current appointment) and move it, under the slot lock
+    return await withSlotLock(slotLockKeys(location, start, end), async () => {
+      const slotCapacity = await checkSlotAvailability(location, start, end, { excludeAppointmentId: appointment.id, resourceId });
+      if (!slotCapacity.available) {
+        return res.status(409).json({ success: false, message: "The new time slot is already booked." });
+      }
+
+      const previous = { startDate: appointment.startDate, endDate: appointment.endDate };
+      await location.api.put(`/appointment/${appointment.id}`, {
+        startDate: start.toISOString(),
+        endDate: end.toISOString()
+      });
+      invalidateAppointmentCaches(location, customer.id);
+
+      // Re-verify and put the appointment back if a parallel booking won the slot
+      if (await lostBookingRace(location, appointment.id, start, end, slotCapacity.appointments, { resourceId })) {
+        console.log(`[WARN] Reschedule race detected. Restoring Appt ID ${appointment.id} to ${previous.startDate}`);
+        await location.api.put(`/appointment/${appointment.id}`, previous);
+        invalidateAppointmentCaches(location, customer.id);
+        return res.status(409).json({ success: false, message: "The new time slot was just taken. Please choose a different time." });
+      }
+
+      publishAppointmentEvent(location, WEBHOOK_EVENTS.APPOINTMENT_RESCHEDULED, {
+        appointmentId: appointment.id,
+        customerId: customer.id,
+        title: appointment.name,
+        previousStartDate: previous.startDate,
+        previousEndDate: previous.endDate,
+        startDate: start.toISOString(),
+        endDate: end.toISOString(),
+        previousReadable: formatToShopTime(location, new Date(previous.startDate)),
+        readable: formatToShopTime(location, start),
+      });
+      const movedAppointment = { ...appointment, startDate: start.toISOString(), endDate: end.toISOString() };
+      notifyCustomer(location, "reschedule", {
+        customer,
+        phone: normalizeToE164(location, phone),
+        appointment: movedAppointment,
+        previousStartDate: previous.startDate,
+      });
+      reminders.schedule(location, movedAppointment);
 
-    return res.status(200).json({ success: true, message: "Appointment updated successfully." });
+      return res.status(200).json({ success: true, message: "Appointment updated successfully." });
+    });
   } catch (error) {
     return next(error);
   }
@@ -515,30 +802,23 @@ app.post("/update-appointment", async (req, res, next) => {
 // 7. identify-caller API
 app.post("/identify-caller", async (req, res, next) => {
   const { phone } = req.body;
+  const location = req.location;
 console.time("identify-caller-duration");
   if (!phone) {
     return res.status(400).json({ found: false, message: "Missing phone number." });
   }
 
   try {
-    // --- Step 1: Customer Lookup (Fail Fast) ---
-    const e164Phone = normalizeToE164(phone);
-    console.log("prev ",phone," next ",e164Phone)
-    // Explicitly using limit: 1 as requested for optimization
-    const customerSearchPayload = {
-      phoneNumbers: [{ number: e164Phone }]
-    };
+    // --- Step 1: Customer Lookup (Fail Fast, cached per phone number) ---
     console.time("phone-lookup");
-    const customerRes = await shopmonkeyApi.post("/customer/phone_number/search", customerSearchPayload);
-    const customers = customerRes.data.data || [];
-
+    const customer = await findCustomerByPhone(location, phone);
     console.timeEnd("phone-lookup");
-    if (customers.length === 0) {
+
+    if (!customer) {
       console.timeEnd("identify-caller-duration");
       return res.status(200).json({ found: false });
     }
 
-    const customer = customers[0];
     const customerId = customer.id;
     // --- Step 2: Context Retrieval (Parallel) ---
 
@@ -548,7 +828,7 @@ console.time("identify-caller-duration");
 
     const [ordersRes, appointmentsRes] = await Promise.all([
       // Query A: Active Orders (Get all, filter later)
-      shopmonkeyApi.get(`/customer/${customerId}/order`, {
+      location.api.get(`/customer/${customerId}/order`, {
         params: {
           orderBy: 'updatedDate DESC',
           limit: 1,
@@ -558,7 +838,7 @@ console.time("identify-caller-duration");
         }
       }),
       // Query B: Future Appointments (Strictly Future)
-      shopmonkeyApi.post("/appointment/search", {
+      location.api.post("/appointment/search", {
         where: {
           customerId: String(customerId),
           startDate: { gte: nowISO },
@@ -610,6 +890,7 @@ console.time("identify-caller-duration");
     // Process Future Appointment
     let futureAppointmentObj = {
       exists: false,
+      id: null,
       vehicle: null,
       date: null
     };
@@ -634,6 +915,7 @@ console.time("identify-caller-duration");
 
       futureAppointmentObj = {
         exists: true,
+        id: appt.id,
         vehicle: vehicleName,
         date: appt.startDate
       };
@@ -660,200 +942,635 @@ console.time("identify-caller-duration");
   }
 });
 
-// --- Centralized Error Handling Middleware ---
-app.use((error, req, res, next) => {
-  const errorDetails = error.response
-    ? error.response.data
-    : { message: error.message, code: "LOCAL_ERROR" };
-  const statusCode = error.response ? error.response.status : 500;
-  console.error(
-    `[ERROR] Status: ${statusCode} | Path: ${req.path} | API Message: ${errorDetails.message || "No specific message from API."
-    }`,
-    errorDetails
-  );
+// 8. hold-slot API
+// Holds a slot for a few minutes while the agent collects the caller's details.
+// Pass the returned holdToken to /booking to book the held slot.
+app.post("/hold-slot", idempotent, async (req, res, next) => {
+  const { startDate, title, serviceCode, resourceId, ttlSeconds } = req.body;
+  const location = req.location;
 
-  if (statusCode === 403) {
-    return res.status(500).json({ success: false, message: "API Authorization Forbidden. Check your API Key." });
+  if (!startDate) {
+    return res.status(400).json({ success: false, message: "Missing required field: startDate." });
   }
 
-  return res
-    .status(statusCode)
-    .json({ success: false, message: errorDetails.message || "An internal server error occurred." });
-});
-
-// --- Helper Functions ---
-
-
-/**
- * Breaks a UTC Date object down into the Shop's Local Timezone components.
- * Essential for validating 8:00 AM vs 4:30 PM accurately.
- */
-function getShopTimeDetails(utcDate) {
-  const formatter = new Intl.DateTimeFormat("en-US", {
-    timeZone: SHOP_TIMEZONE,
-    hour12: false,
-    weekday: "short",
-    year: "numeric",
-    month: "numeric",
-    day: "numeric",
-    hour: "numeric",
-    minute: "numeric",
-  });
+  const start = new Date(startDate);
+  if (isNaN(start.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: 'startDate' is invalid. Please provide a valid ISO 8601 date string.",
+    });
+  }
 
-  const parts = formatter.formatToParts(utcDate);
-  const partMap = {};
-  parts.forEach((p) => (partMap[p.type] = p.value));
+  const service = resolveService(location.services, { title, serviceCode }, location.slotMinutes);
+  if (!service) {
+    return res.status(400).json({ success: false, code: "UNKNOWN_SERVICE", message: `Client error: Unknown serviceCode '${serviceCode}'.` });
+  }
+  const end = new Date(start.getTime() + service.durationMinutes * 60000);
 
-  const dayMap = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+  const policyCheck = checkBookingPolicy(location, start, end);
+  if (!policyCheck.ok) {
+    return res.status(422).json({ success: false, code: policyCheck.code, message: policyCheck.message });
+  }
 
-  return {
-    year: parseInt(partMap.year, 10),
-    month: parseInt(partMap.month, 10),
-    day: parseInt(partMap.day, 10),
-    weekday: dayMap[partMap.weekday],
-    hour: parseInt(partMap.hour, 10) % 24,
-    minute: parseInt(partMap.minute, 10),
-  };
-}
+  try {
+    return await withSlotLock(slotLockKeys(location, start, end), async () => {
+      const slotCapacity = await checkSlotAvailability(location, start, end, { resourceId });
+      if (!slotCapacity.available) {
+        return res.status(409).json({
+          success: false,
+          message: "The requested time slot is no longer available. Please choose a different time.",
+        });
+      }
 
-function formatToShopTime(utcDate) {
-  return utcDate.toLocaleString("en-US", {
-    timeZone: SHOP_TIMEZONE,
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-    hour: "numeric",
-    minute: "2-digit",
-    hour12: true,
-  });
-}
+      const hold = slotHolds.create({
+        locationKey: location.key,
+        start,
+        end,
+        resourceId,
+        ttlMs: ttlSeconds ? Number(ttlSeconds) * 1000 : undefined,
+      });
+      console.log(`[INFO] Slot held: ${start.toISOString()} until ${new Date(hold.expiresAt).toISOString()}`);
+
+      return res.status(201).json({
+        success: true,
+        message: `Slot held for ${formatToShopTime(location, start)}.`,
+        holdToken: hold.token,
+        expiresAt: new Date(hold.expiresAt).toISOString(),
+        slot: { startDate: start.toISOString(), endDate: end.toISOString() },
+      });
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-function normalizeToE164(phone) {
-  if (!phone) return "";
-  let digitsOnly = phone.replace(/\D/g, "");
-  if (digitsOnly.length === 10) {
-    return `+1${digitsOnly}`;
+/**
+ * Why a booking doesn't fit the slot its hold reserved, or null when it does.
+ */
+function describeHoldMismatch(hold, start, end, resourceId) {
+  if (hold.start.getTime() !== start.getTime()) {
+    return `The hold is for ${hold.start.toISOString()}, not ${start.toISOString()}.`;
   }
-  if (digitsOnly.length === 11 && digitsOnly.startsWith("1")) {
-    return `+${digitsOnly}`;
+  if (hold.end.getTime() !== end.getTime()) {
+    return `The hold runs until ${hold.end.toISOString()}, but this service needs until ${end.toISOString()}. Hold the slot again for this service.`;
   }
-  if (phone.trim().startsWith("+")) {
-    return `+${digitsOnly}`;
+  if (String(hold.resourceId ?? "") !== String(resourceId ?? "")) {
+    return `The hold is for resource '${hold.resourceId ?? "any"}', not '${resourceId ?? "any"}'.`;
   }
-  return `+${digitsOnly}`;
+  return null;
 }
 
-// Levenshtein Distance for Fuzzy Matching
-function levenshteinDistance(a, b) {
-  const matrix = [];
+// 9. release-hold API
+app.post("/release-hold", idempotent, (req, res) => {
+  const { holdToken } = req.body;
 
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
+  if (!holdToken) {
+    return res.status(400).json({ success: false, message: "Missing required field: holdToken." });
   }
 
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
+  const released = slotHolds.release(holdToken);
+  return res.status(200).json({
+    success: true,
+    message: released ? "Hold released." : "Hold was already released or expired.",
+  });
+});
 
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          Math.min(
-            matrix[i][j - 1] + 1,   // insertion
-            matrix[i - 1][j] + 1    // deletion
-          )
-        );
-      }
-    }
-  }
+// 10. list-appointments API
+// Every upcoming appointment for the caller (and, with includePast, the last pastDays days),
+// so the agent can read them out and the caller can pick one to change or cancel.
+app.post("/list-appointments", async (req, res, next) => {
+  const { phone, includePast, pastDays } = req.body;
+  const location = req.location;
 
-  return matrix[b.length][a.length];
-}
+  if (!phone) {
+    return res.status(400).json({ success: false, message: "Missing required field: phone." });
+  }
 
-function isFuzzyMatch(str1, str2) {
-  if (!str1 || !str2) return false;
-  const s1 = str1.toLowerCase().trim();
-  const s2 = str2.toLowerCase().trim();
+  const historyDays = pastDays === undefined ? LIST_PAST_DEFAULT_DAYS : Number(pastDays);
+  if (!Number.isInteger(historyDays) || historyDays < 1 || historyDays > LIST_PAST_MAX_DAYS) {
+    return res.status(400).json({ success: false, message: `pastDays must be a whole number between 1 and ${LIST_PAST_MAX_DAYS}.` });
+  }
 
-  if (s1 === s2) return true;
+  try {
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
 
-  // Allow a small number of edits based on string length
-  const maxEdits = Math.floor(Math.min(s1.length, s2.length) / 3);
-  const dist = levenshteinDistance(s1, s2);
+    const now = new Date();
+    const historyStart = new Date(now.getTime() - historyDays * 24 * 60 * 60 * 1000);
+    const appointments = (await getCustomerAppointments(location, customer.id))
+      .slice()
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    // An appointment that has started but not ended is still "upcoming" for the caller
+    const upcoming = appointments.filter((appt) => new Date(appt.endDate || appt.startDate) >= now);
+    const past = includePast
+      ? appointments.filter((appt) => new Date(appt.endDate || appt.startDate) < now && new Date(appt.startDate) >= historyStart).reverse()
+      : [];
+
+    const [upcomingList, pastList] = await Promise.all([
+      Promise.all(upcoming.map((appt) => describeAppointment(location, appt))),
+      Promise.all(past.map((appt) => describeAppointment(location, appt))),
+    ]);
 
-  return dist <= maxEdits;
-}
+    const fullName = `${customer.firstName || ""} ${customer.lastName || ""}`.trim();
+    const body = {
+      success: true,
+      message: upcomingList.length
+        ? `Found ${upcomingList.length} upcoming appointment(s).`
+        : "No upcoming appointments.",
+      customer: { id: customer.id, name: fullName },
+      appointments: upcomingList,
+    };
+    if (includePast) body.pastAppointments = pastList;
 
-async function findCustomerByPhone(phone) {
-  const e164Phone = normalizeToE164(phone);
-  const searchPayload = { phoneNumbers: [{ number: e164Phone }] };
-  const searchResponse = await shopmonkeyApi.post(
-    "/customer/phone_number/search",
-    searchPayload
-  );
-  if (searchResponse.data.data && searchResponse.data.data.length > 0) {
-    return searchResponse.data.data[0];
+    return res.status(200).json(body);
+  } catch (error) {
+    return next(error);
   }
-  return null;
-}
+});
 
-async function findOrCreateCustomer(customerInfo) {
-  const { name, phone } = customerInfo;
-  const existingCustomer = await findCustomerByPhone(phone);
+// 11. decode-vin API
+// Offline: validates the check digit and reads manufacturer and model year, so the agent can
+// confirm the vehicle ("a 2019 Honda?") before booking.
+app.post("/decode-vin", (req, res) => {
+  const { vin } = req.body;
 
-  if (existingCustomer) {
-    console.log(`[INFO] Found existing customer: ${existingCustomer.id}`);
-    return {
-      customerData: existingCustomer,
-      wasCreated: false,
-    };
+  if (!vin) {
+    return res.status(400).json({ success: false, message: "Missing required field: vin." });
   }
 
-  console.log("[INFO] Creating new customer...");
-  const e164Phone = normalizeToE164(phone);
-  const [firstName, ...lastNameParts] = name.split(" ");
-
-  const createPayload = {
-    name: name,
-    firstName: firstName || "N/A",
-    lastName: lastNameParts.join(" ") || "",
-    phoneNumbers: [{ number: e164Phone, primary: true }],
-    customerType: "Customer",
-    originLocationId: LOCATION_ID,
-    locationIds: [LOCATION_ID],
-  };
-
-  const createResponse = await shopmonkeyApi.post("/customer", createPayload);
-  return {
-    customerData: createResponse.data.data,
-    wasCreated: true,
-  };
-}
+  const decoded = decodeVin(vin);
+  if (!decoded.valid) {
+    return res.status(400).json({
+      success: false,
+      code: "INVALID_VIN",
+      message: `Invalid VIN. ${decoded.errors.join(" ")}`,
+      vin: decoded.vin,
+    });
+  }
 
-async function findOrCreateVehicle(customerId, vehicleDetails) {
-  const { make, model } = vehicleDetails;
+  const description = [decoded.modelYear, decoded.make].filter(Boolean).join(" ");
+  return res.status(200).json({
+    success: true,
+    message: description ? `VIN decoded: ${description}.` : "VIN is valid, but the manufacturer is not in the local table.",
+    vin: decoded.vin,
+    make: decoded.make,
+    modelYear: decoded.modelYear,
+    country: decoded.country,
+    wmi: decoded.wmi,
+    checkDigitValid: decoded.checkDigitValid,
+  });
+});
 
-  // Fetch all vehicles for the customer
-  const searchResponse = await shopmonkeyApi.get(
-    `/customer/${customerId}/vehicle`
+// 12. update-customer API
+// Corrects the caller's name, email or marketing opt-in ("actually it's spelled Jon").
+app.post("/update-customer", idempotent, async (req, res, next) => {
+  const { phone, email, marketingOptIn } = req.body;
+  const location = req.location;
+  // Blank names are treated as not given, so they never wipe what is on file
+  const [name, firstName, lastName] = [req.body.name, req.body.firstName, req.body.lastName].map((value) =>
+    value === undefined || value === null ? "" : String(value).trim()
   );
 
-  const vehicles = searchResponse.data.data || [];
-
-  // Fuzzy search for matching vehicle
-  const existingVehicle = vehicles.find((v) => {
-    const makeMatch = isFuzzyMatch(v.make, make);
-    const modelMatch = isFuzzyMatch(v.model, model);
-    return makeMatch && modelMatch;
-  });
+  if (!phone) {
+    return res.status(400).json({ success: false, message: "Missing required field: phone." });
+  }
+  if (!name && !firstName && !lastName && !email && marketingOptIn === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: Provide at least one of name, firstName, lastName, email or marketingOptIn.",
+    });
+  }
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+    return res.status(400).json({ success: false, code: "INVALID_EMAIL", message: `Client error: '${email}' is not a valid email address.` });
+  }
+  if (marketingOptIn !== undefined && typeof marketingOptIn !== "boolean") {
+    return res.status(400).json({ success: false, message: "Client error: 'marketingOptIn' must be true or false." });
+  }
+
+  try {
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
+
+    const update = {};
+    if (name) {
+      // A single word is a first-name correction; keep the last name on file
+      const parts = splitCustomerName(name);
+      update.firstName = parts.firstName;
+      if (parts.lastName) update.lastName = parts.lastName;
+    }
+    if (firstName) update.firstName = firstName;
+    if (lastName) update.lastName = lastName;
+    if (marketingOptIn !== undefined) update.marketingOptIn = marketingOptIn;
+
+    let updatedCustomer = customer;
+    if (Object.keys(update).length > 0) {
+      const updateResponse = await location.api.put(`/customer/${customer.id}`, update);
+      updatedCustomer = updateResponse.data.data || { ...customer, ...update };
+    }
+
+    const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+    const knownEmails = (customer.emails || []).map((e) => String(e.email || "").toLowerCase());
+    if (normalizedEmail && !knownEmails.includes(normalizedEmail)) {
+      await location.api.post(`/customer/${customer.id}/email`, { email: normalizedEmail, primary: true });
+    }
+
+    lookupCache.invalidateTag(`${location.key}:customer:${customer.id}`);
+
+    const fullName = `${updatedCustomer.firstName || ""} ${updatedCustomer.lastName || ""}`.trim();
+    console.log(`[SUCCESS] Updated customer ${customer.id}: ${[...Object.keys(update), ...(normalizedEmail ? ["email"] : [])].join(", ")}`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Customer details updated for ${fullName}.`,
+      customer: {
+        id: customer.id,
+        name: fullName,
+        email: normalizedEmail || knownEmails[0] || null,
+        marketingOptIn: marketingOptIn !== undefined ? marketingOptIn : updatedCustomer.marketingOptIn,
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// 13. add-customer-phone API
+// Adds another number (e.g. a work phone) so the caller is also recognized when calling from it.
+app.post("/add-customer-phone", idempotent, async (req, res, next) => {
+  const { phone, newPhone, type = "Mobile", primary = false } = req.body;
+  const location = req.location;
+
+  if (!phone || !newPhone) {
+    return res.status(400).json({ success: false, message: "Missing required fields: phone, newPhone." });
+  }
+  if (!PHONE_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, message: `Client error: 'type' must be one of ${PHONE_TYPES.join(", ")}.` });
+  }
+
+  let newE164;
+  try {
+    newE164 = normalizeToE164(location, newPhone);
+  } catch (error) {
+    return res.status(400).json({ success: false, code: error.code, message: `Client error: ${error.message}` });
+  }
+
+  try {
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
+
+    const owner = await findCustomerByPhone(location, newE164);
+    if (owner && owner.id === customer.id) {
+      return res.status(200).json({ success: true, message: "That number is already on file for this customer." });
+    }
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        code: "PHONE_IN_USE",
+        message: "That number already belongs to a different customer.",
+      });
+    }
+
+    await location.api.post(`/customer/${customer.id}/phone_number`, { number: newE164, type, primary: Boolean(primary) });
+
+    // The cached "not found" for the new number and everything about this customer are now stale
+    lookupCache.invalidate(`${location.key}:phone:${newE164}`);
+    lookupCache.invalidateTag(`${location.key}:customer:${customer.id}`);
+    console.log(`[SUCCESS] Added ${type} number ${newE164} to customer ${customer.id}`);
+
+    return res.status(201).json({
+      success: true,
+      message: "Phone number added.",
+      customerId: customer.id,
+      phone: newE164,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// 14. order-status API
+// "Is my car ready?": every open repair order / estimate for the caller, optionally for one vehicle,
+// with workflow status, approval, promised date and balance worded for the agent to read out.
+app.post("/order-status", async (req, res, next) => {
+  const { phone, make, model, vin, licensePlate } = req.body;
+  const location = req.location;
+
+  if (!phone) {
+    return res.status(400).json({ success: false, message: "Missing required field: phone." });
+  }
+  if (Boolean(make) !== Boolean(model)) {
+    return res.status(400).json({ success: false, message: "Client error: give both make and model to pick a vehicle." });
+  }
+
+  try {
+    const vehicleDetails = make || vin || licensePlate ? parseVehicleDetails(req.body) : null;
+    if (vehicleDetails) applyVinDecoding(vehicleDetails);
+
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
+
+    // Order status changes through the day; always read it fresh
+    const orders = await findOpenOrders(location, customer.id, vehicleDetails);
+    const workflowStatuses = orders.length ? await getWorkflowStatusNames(location) : {};
+    const described = orders.map((order) => describeOrder(order, location.timeZone, workflowStatuses));
+
+    let message;
+    if (described.length === 0) {
+      message = vehicleDetails ? "No open orders for that vehicle." : "No open orders.";
+    } else {
+      message = `Found ${described.length} open order(s).`;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message,
+      customer: { id: customer.id, name: `${customer.firstName || ""} ${customer.lastName || ""}`.trim() },
+      orders: described,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// 15. estimate-services API
+// Lists the services on the caller's estimate (or open repair order) so recommended work can be
+// read out, with its line items, and approved or declined through /authorize-services.
+app.post("/estimate-services", async (req, res, next) => {
+  const { phone, orderId, make, model, vin, licensePlate } = req.body;
+  const location = req.location;
+
+  if (!phone) {
+    return res.status(400).json({ success: false, message: "Missing required field: phone." });
+  }
+  if (Boolean(make) !== Boolean(model)) {
+    return res.status(400).json({ success: false, message: "Client error: give both make and model to pick a vehicle." });
+  }
+
+  try {
+    const vehicleDetails = make || vin || licensePlate ? parseVehicleDetails(req.body) : null;
+    if (vehicleDetails) applyVinDecoding(vehicleDetails);
+
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
+
+    let order;
+    if (orderId) {
+      order = await getCustomerOrder(location, customer.id, orderId);
+      if (!order) return res.status(404).json({ success: false, message: "Order not found for this customer." });
+      if (!acceptsApprovals(order)) return sendOrderNotOpen(res, order);
+    } else {
+      const candidates = (await findOpenOrders(location, customer.id, vehicleDetails)).filter(acceptsApprovals);
+      if (candidates.length === 0) return res.status(404).json({ success: false, message: "No open estimates found." });
+      if (candidates.length > 1) return sendOrderChoices(location, res, candidates);
+      order = candidates[0];
+    }
 
-  if (existingVehicle) {
-    console.log(`[INFO] Found existing vehicle (Fuzzy Match): ${existingVehicle.id} - ${existingVehicle.make} ${existingVehicle.model}`);
-    return { vehicleData: existingVehicle, wasCreated: false };
+    const services = (await getOrderServices(location, order.id)).map(describeService);
+    const pending = services.filter((service) => service.status === SERVICE_AUTHORIZATION.PENDING);
+    const pendingTotal = Math.round(pending.reduce((sum, service) => sum + service.total, 0) * 100) / 100;
+
+    return res.status(200).json({
+      success: true,
+      message: pending.length
+        ? `${pending.length} service(s) waiting for approval, ${formatMoney(pendingTotal)} in total.`
+        : "No services are waiting for approval.",
+      order: describeOrder(order, location.timeZone, await getWorkflowStatusNames(location)),
+      services,
+      pendingTotal,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// 16. authorize-services API
+// Records the caller's decision on services from /estimate-services: "authorize" and "decline"
+// are lists of service IDs. Each change is noted on the order with its time and CHANGE_SOURCE.
+app.post("/authorize-services", idempotent, async (req, res, next) => {
+  const { phone, orderId } = req.body;
+  const authorize = req.body.authorize || [];
+  const decline = req.body.decline || [];
+  const location = req.location;
+
+  if (!phone || !orderId) {
+    return res.status(400).json({ success: false, message: "Missing required fields: phone, orderId." });
+  }
+  if (!Array.isArray(authorize) || !Array.isArray(decline) || authorize.length + decline.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Client error: give the service IDs to approve in 'authorize' and/or to decline in 'decline'.",
+    });
+  }
+  const conflicting = authorize.filter((id) => decline.includes(id));
+  if (conflicting.length > 0) {
+    return res.status(400).json({ success: false, message: `Client error: service(s) ${conflicting.join(", ")} are in both authorize and decline.` });
+  }
+
+  try {
+    const customer = await findCustomerByPhone(location, phone);
+    if (!customer) return res.status(404).json({ success: false, message: "Customer not found." });
+
+    const order = await getCustomerOrder(location, customer.id, orderId);
+    if (!order) return res.status(404).json({ success: false, message: "Order not found for this customer." });
+    if (!acceptsApprovals(order)) return sendOrderNotOpen(res, order);
+
+    const services = await getOrderServices(location, order.id);
+    const byId = new Map(services.map((service) => [String(service.id), service]));
+    const unknown = [...authorize, ...decline].filter((id) => !byId.has(String(id)));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: "UNKNOWN_SERVICE",
+        message: `Client error: service(s) ${unknown.join(", ")} are not on order ${order.number || order.id}.`,
+      });
+    }
+
+    const decisions = [
+      ...authorize.map((id) => ({ service: byId.get(String(id)), to: SERVICE_AUTHORIZATION.AUTHORIZED })),
+      ...decline.map((id) => ({ service: byId.get(String(id)), to: SERVICE_AUTHORIZATION.DECLINED })),
+    ];
+    // Already in the requested state: nothing to write, so a retried call changes nothing
+    const changes = decisions
+      .map(({ service, to }) => ({ service, from: serviceAuthorization(service), to }))
+      .filter(({ from, to }) => from !== to);
+
+    const applied = [];
+    try {
+      for (const change of changes) {
+        const { service, to } = change;
+        await location.api.put(`/order/${order.id}/service/${service.id}`, { authorizationStatus: to });
+        service.authorizationStatus = to;
+        applied.push(change);
+        console.log(`[SUCCESS] Service ${service.id} on order ${order.id} ${to.toLowerCase()} by ${CHANGE_SOURCE}`);
+      }
+    } catch (error) {
+      // A retry skips services that already changed, so note those now or their audit entry is lost
+      if (applied.length > 0) {
+        await recordServiceDecisions(location, order, applied).catch((noteError) => {
+          console.error(`[ERROR] Failed to note service decisions on order ${order.id}:`, noteError.message);
+        });
+      }
+      throw error;
+    }
+    if (changes.length > 0) await recordServiceDecisions(location, order, changes);
+
+    const approved = changes.filter((change) => change.to === SERVICE_AUTHORIZATION.AUTHORIZED).length;
+    const declined = changes.length - approved;
+    return res.status(200).json({
+      success: true,
+      message: changes.length
+        ? `Approved ${approved} and declined ${declined} service(s).`
+        : "No changes; those services were already recorded that way.",
+      orderId: order.id,
+      changes: changes.map(({ service, from, to }) => ({ id: service.id, name: service.name || "Service", from, to })),
+      services: services.map(describeService),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// --- Centralized Error Handling Middleware ---
+app.use((error, req, res, next) => {
+  const errorDetails = error.response
+    ? error.response.data
+    : { message: error.message, code: error.code || "LOCAL_ERROR" };
+  const statusCode = error.response ? error.response.status : error.statusCode || 500;
+  console.error(
+    `[ERROR] Status: ${statusCode} | Path: ${req.path} | API Message: ${errorDetails.message || "No specific message from API."
+    }`,
+    errorDetails
+  );
+
+  if (statusCode === 403) {
+    return res.status(500).json({ success: false, message: "API Authorization Forbidden. Check your API Key." });
+  }
+
+  const body = { success: false, message: errorDetails.message || "An internal server error occurred." };
+  if (error.statusCode && error.code) body.code = error.code;
+
+  // UPSTREAM_UNAVAILABLE: tell the agent when it is worth trying again
+  if (error.retryAfterSeconds) {
+    res.set("Retry-After", String(error.retryAfterSeconds));
+    body.retryAfterSeconds = error.retryAfterSeconds;
+  }
+
+  return res.status(statusCode).json(body);
+});
+
+// --- Helper Functions ---
+
+
+function formatToShopTime(location, utcDate) {
+  return utcDate.toLocaleString("en-US", {
+    timeZone: location.timeZone,
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+/**
+ * E.164 form of a caller-supplied number in the location's region, without any extension.
+ * Throws InvalidPhoneError (400 INVALID_PHONE) for numbers phoneValidator would reject.
+ */
+function normalizeToE164(location, phone) {
+  return parsePhone(phone, location.phoneRegion).e164;
+}
+
+async function findCustomerByPhone(location, phone) {
+  const e164Phone = normalizeToE164(location, phone);
+  const cacheOptions = { tags: (customer) => (customer ? [`${location.key}:customer:${customer.id}`] : []) };
+
+  return lookupCache.wrap(`${location.key}:phone:${e164Phone}`, cacheOptions, async () => {
+    const searchPayload = { phoneNumbers: [{ number: e164Phone }] };
+    const searchResponse = await location.api.post(
+      "/customer/phone_number/search",
+      searchPayload
+    );
+    if (searchResponse.data.data && searchResponse.data.data.length > 0) {
+      return searchResponse.data.data[0];
+    }
+    return null;
+  });
+}
+
+/**
+ * "Mary Jo Smith" -> { firstName: "Mary", lastName: "Jo Smith" }.
+ */
+function splitCustomerName(name) {
+  const [firstName, ...lastNameParts] = String(name).trim().split(/\s+/);
+  return { firstName, lastName: lastNameParts.join(" ") };
+}
+
+async function findOrCreateCustomer(location, customerInfo) {
+  const { name, phone } = customerInfo;
+  const existingCustomer = await findCustomerByPhone(location, phone);
+
+  if (existingCustomer) {
+    console.log(`[INFO] Found existing customer: ${existingCustomer.id}`);
+    return {
+      customerData: existingCustomer,
+      wasCreated: false,
+    };
+  }
+
+  console.log("[INFO] Creating new customer...");
+  const e164Phone = normalizeToE164(location, phone);
+  const { firstName, lastName } = splitCustomerName(name);
+
+  const createPayload = {
+    name: name,
+    firstName: firstName || "N/A",
+    lastName,
+    phoneNumbers: [{ number: e164Phone, primary: true }],
+    customerType: "Customer",
+    originLocationId: location.locationId,
+    locationIds: [location.locationId],
+  };
+
+  const createResponse = await location.api.post("/customer", createPayload);
+  // Drop the cached "not found" for this number
+  lookupCache.invalidate(`${location.key}:phone:${e164Phone}`);
+  return {
+    customerData: createResponse.data.data,
+    wasCreated: true,
+  };
+}
+
+async function findOrCreateVehicle(location, customerId, vehicleDetails) {
+  const { make, model } = vehicleDetails;
+
+  // Fetch all vehicles for the customer
+  const vehiclesKey = `${location.key}:customer:${customerId}:vehicles`;
+  const vehicles = await lookupCache.wrap(vehiclesKey, { tags: [`${location.key}:customer:${customerId}`] }, async () => {
+    const searchResponse = await location.api.get(
+      `/customer/${customerId}/vehicle`
+    );
+    return searchResponse.data.data || [];
+  });
+
+  // VIN, then license plate, then fuzzy make/model/year
+  const match = findMatchingVehicle(vehicles, vehicleDetails);
+
+  if (match) {
+    const existingVehicle = match.vehicle;
+    console.log(`[INFO] Found existing vehicle (matched by ${match.matchedBy}): ${existingVehicle.id} - ${existingVehicle.make} ${existingVehicle.model}`);
+
+    // Fill in details the shop didn't have yet (never overwrite)
+    const missingFields = vehicleFields(vehicleDetails, existingVehicle);
+    if (Object.keys(missingFields).length === 0) {
+      return { vehicleData: existingVehicle, wasCreated: false };
+    }
+    console.log(`[INFO] Adding ${Object.keys(missingFields).join(", ")} to vehicle ${existingVehicle.id}`);
+    const updateResponse = await location.api.put(`/vehicle/${existingVehicle.id}`, missingFields);
+    lookupCache.invalidate(vehiclesKey);
+    lookupCache.invalidateTag(`${location.key}:vehicle:${existingVehicle.id}`);
+    return { vehicleData: updateResponse.data.data || { ...existingVehicle, ...missingFields }, wasCreated: false };
   }
 
   console.log("[INFO] Creating new vehicle...");
@@ -861,79 +1578,537 @@ async function findOrCreateVehicle(customerId, vehicleDetails) {
     customerId,
     make,
     model,
+    ...vehicleFields(vehicleDetails),
     size: "LightDuty", // Default
   };
 
-  const createResponse = await shopmonkeyApi.post("/vehicle", createPayload);
+  const createResponse = await location.api.post("/vehicle", createPayload);
+  lookupCache.invalidate(vehiclesKey);
   return { vehicleData: createResponse.data.data, wasCreated: true };
 }
 
-async function findAppointmentByDate(customerId, dateString) {
-  const targetDate = new Date(dateString);
-  console.log(`[DEBUG] findAppointmentByDate: customerId=${customerId} (${typeof customerId})`);
+/**
+ * Every active (non-canceled) appointment for the customer, all pages, cached per customer.
+ */
+function getCustomerAppointments(location, customerId) {
+  return lookupCache.wrap(
+    `${location.key}:customer:${customerId}:appointments`,
+    { tags: [`${location.key}:customer:${customerId}`, `${location.key}:appointments`] },
+    () => findCustomerAppointments(location, customerId)
+  );
+}
+
+/**
+ * Returns the customer's active appointments matching a parsed hint (see lib/appointmentMatch.js).
+ */
+async function findAppointmentsByHint(location, customerId, hint) {
+  const appointments = await getCustomerAppointments(location, customerId);
+  const matches = matchAppointments(appointments, hint, location.timeZone);
+  console.log(`[DEBUG] findAppointmentsByHint: ${matches.length} of ${appointments.length} active appointments match`);
+  return matches;
+}
 
-  // Search for active appointments for this customer
-  const searchPayload = {
-    where: {
-      customerId: String(customerId),
-      status: { _neq: "Canceled" }
-    },
-    limit: 50
+/**
+ * Caller-facing summary of one appointment: ID, shop-local time, vehicle, service and status.
+ */
+async function describeAppointment(location, appointment) {
+  const vehicle = appointment.vehicleId ? await getVehicleById(location, appointment.vehicleId) : null;
+  return {
+    id: appointment.id,
+    title: appointment.name,
+    status: appointment.status || null,
+    startDate: appointment.startDate,
+    endDate: appointment.endDate,
+    readable: formatToShopTime(location, new Date(appointment.startDate)),
+    vehicle: vehicle && vehicle.data ? describeVehicle(vehicle.data) : null,
   };
-  console.log(`[DEBUG] searchPayload:`, JSON.stringify(searchPayload, null, 2));
+}
+
+/**
+ * 409 MULTIPLE_APPOINTMENTS listing every candidate, so the agent can ask the caller which one
+ * they mean and retry with its appointmentId.
+ */
+async function sendAppointmentChoices(location, res, appointments) {
+  const choices = await Promise.all(appointments.map((appt) => describeAppointment(location, appt)));
+  return res.status(409).json({
+    success: false,
+    code: "MULTIPLE_APPOINTMENTS",
+    message: `Found ${choices.length} appointments matching that description. Ask the caller which one they mean.`,
+    appointments: choices,
+  });
+}
+
+/**
+ * The customer's non-archived orders, most recently updated first. Pages through the results
+ * like lib/appointmentQuery.js, up to ORDER_MAX_PAGES.
+ */
+async function findCustomerOrders(location, customerId) {
+  const orders = [];
+  const seenIds = new Set();
+
+  for (let page = 1; page <= ORDER_MAX_PAGES; page++) {
+    const response = await location.api.get(`/customer/${customerId}/order`, {
+      params: {
+        orderBy: "updatedDate DESC",
+        limit: ORDER_PAGE_SIZE,
+        skip: orders.length,
+        where: JSON.stringify({ archived: false }),
+      },
+    });
+    const rows = response.data.data || [];
 
-  const response = await shopmonkeyApi.post("/appointment/search", searchPayload);
-  const appointments = response.data.data || [];
+    // Guard against an upstream that ignores `skip` and keeps returning the same page
+    const fresh = rows.filter((order) => !seenIds.has(order.id));
+    fresh.forEach((order) => seenIds.add(order.id));
+    orders.push(...fresh);
 
-  return appointments.find(appt => {
-    const apptStart = new Date(appt.startDate);
-    // Allow a small tolerance (e.g., same minute) or strict equality
-    // Using strict equality for now as per requirement to match "originalDate"
-    return apptStart.toISOString() === targetDate.toISOString();
+    const hasMore = response.data.meta && typeof response.data.meta.hasMore === "boolean"
+      ? response.data.meta.hasMore
+      : rows.length === ORDER_PAGE_SIZE;
+    if (!hasMore || fresh.length === 0) return orders;
+  }
+
+  console.warn(`[WARN] Customer ${customerId}: hit the ${ORDER_MAX_PAGES}-page order cap (${orders.length} orders). Older ones are not listed.`);
+  return orders;
+}
+
+/**
+ * Open orders (see lib/orders.js) for the customer, limited to one vehicle when details are given.
+ */
+async function findOpenOrders(location, customerId, vehicleDetails = null) {
+  const orders = (await findCustomerOrders(location, customerId)).filter(isOpenOrder);
+  if (!vehicleDetails) return orders;
+
+  const vehicleIds = [...new Set(orders.map((order) => order.vehicleId).filter(Boolean))];
+  const vehicles = await Promise.all(vehicleIds.map((id) => getVehicleById(location, id)));
+  const matchingIds = vehicleIds.filter((id, i) => vehicles[i] && compareVehicle(vehicles[i].data, vehicleDetails));
+  return orders.filter((order) => matchingIds.includes(order.vehicleId));
+}
+
+/**
+ * The order, or null when it doesn't exist or belongs to someone else. Other failures are thrown.
+ */
+async function getCustomerOrder(location, customerId, orderId) {
+  let order;
+  try {
+    const response = await location.api.get(`/order/${orderId}`);
+    order = response.data.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+  return order && String(order.customerId) === String(customerId) ? order : null;
+}
+
+/**
+ * 409 ORDER_NOT_OPEN for an order picked by orderId that no longer takes approvals.
+ */
+function sendOrderNotOpen(res, order) {
+  return res.status(409).json({
+    success: false,
+    code: "ORDER_NOT_OPEN",
+    message: `Order ${order.number || order.id} is ${order.status === "Invoice" ? "already invoiced" : "closed"}; its services can no longer be approved or declined.`,
+  });
+}
+
+async function getOrderServices(location, orderId) {
+  const response = await location.api.get(`/order/${orderId}/service`);
+  return response.data.data || [];
+}
+
+/**
+ * 409 MULTIPLE_ORDERS listing the open orders, so the agent can ask which one and retry with its orderId.
+ */
+async function sendOrderChoices(location, res, orders) {
+  const workflowStatuses = await getWorkflowStatusNames(location);
+  return res.status(409).json({
+    success: false,
+    code: "MULTIPLE_ORDERS",
+    message: `Found ${orders.length} open orders. Ask the caller which vehicle or order they mean.`,
+    orders: orders.map((order) => describeOrder(order, location.timeZone, workflowStatuses)),
   });
 }
 
-async function getVehicleById(vehicleId) {
+/**
+ * Appends one line per approval/decline to the order's note, where the advisor sees it.
+ */
+async function recordServiceDecisions(location, order, changes) {
+  const timestamp = new Date().toISOString();
+  const lines = changes.map(
+    ({ service, to }) => `${to} by ${CHANGE_SOURCE} on ${timestamp}: ${service.name || "Service"} (${formatMoney(serviceTotal(service))})`
+  );
+  const note = order.note ? `${order.note}\n${lines.join("\n")}` : lines.join("\n");
+  await location.api.put(`/order/${order.id}`, { note });
+  order.note = note;
+}
+
+/**
+ * workflowStatusId -> name for the shop's board columns ("Waiting on Parts", "Ready for Pickup").
+ * Cached per location; names are left out (not fatal) when the list can't be read.
+ */
+async function getWorkflowStatusNames(location) {
   try {
-    const response = await shopmonkeyApi.get(`/vehicle/${vehicleId}`);
-    return response.data;
+    return await lookupCache.wrap(`${location.key}:workflowStatuses`, {}, async () => {
+      const response = await location.api.get("/workflow_status");
+      const names = {};
+      (response.data.data || []).forEach((status) => {
+        names[status.id] = status.name;
+      });
+      return names;
+    });
   } catch (error) {
+    if (error instanceof UpstreamUnavailableError) throw error;
+    console.error("[ERROR] Failed to fetch workflow statuses:", error.message);
+    return {};
+  }
+}
+
+async function getVehicleById(location, vehicleId) {
+  try {
+    return await lookupCache.wrap(`${location.key}:vehicle:${vehicleId}`, { tags: [`${location.key}:vehicle:${vehicleId}`] }, async () => {
+      const response = await location.api.get(`/vehicle/${vehicleId}`);
+      return response.data;
+    });
+  } catch (error) {
+    // An outage is not "vehicle not found"; let the error handler answer with UPSTREAM_UNAVAILABLE
+    if (error instanceof UpstreamUnavailableError) throw error;
     console.error(`[ERROR] Failed to fetch vehicle ${vehicleId}:`, error.message);
     return null;
   }
 }
 
-async function checkSlotAvailability(start, end, excludeAppointmentId = null) {
+/**
+ * The location a Shopmonkey event belongs to, or every location when it doesn't say.
+ */
+function eventLocations(event) {
+  const location = event.locationId ? locationRegistry.get(event.locationId) : null;
+  return location ? [location] : locationRegistry.locations;
+}
+
+/**
+ * "Oil Change" from an appointment named "Jo D. / Toyota Camry / Oil Change" by /booking.
+ */
+function appointmentServiceName(appointment) {
+  const parts = String(appointment.name || "").split(" / ");
+  return parts.length >= 3 ? parts.slice(2).join(" / ") : "appointment";
+}
+
+function customerEmail(customer) {
+  const emails = customer.emails || [];
+  const entry = emails.find((e) => e.primary) || emails[0];
+  return (entry && entry.email) || customer.email || null;
+}
+
+/**
+ * Renders one message kind (lib/messages.js) and hands it to the transport, once per channel
+ * the customer can be reached on. Vehicle and service default to what the appointment says.
+ * Returns the number of messages sent; throws when the transport does.
+ */
+async function sendCustomerMessages(location, kind, details) {
+  const { customer, phone, appointment, previousStartDate, reason } = details;
+  let { vehicle } = details;
+  if (!vehicle && appointment.vehicleId) {
+    const vehicleRecord = await getVehicleById(location, appointment.vehicleId);
+    vehicle = vehicleRecord && vehicleRecord.data ? describeVehicle(vehicleRecord.data) : null;
+  }
+
+  const variables = {
+    firstName: customer.firstName || "there",
+    customerName: `${customer.firstName || ""} ${customer.lastName || ""}`.trim(),
+    shopName: location.name,
+    time: formatToShopTime(location, new Date(appointment.startDate)),
+    previousTime: previousStartDate ? formatToShopTime(location, new Date(previousStartDate)) : "",
+    vehicle: vehicle || "vehicle",
+    service: details.service || appointmentServiceName(appointment),
+    reason: reason || "",
+  };
+
+  const messages = renderMessages(messageTemplates, kind, variables, { phone, email: customerEmail(customer) });
+  for (const message of messages) {
+    await messageTransport.send({ ...message, appointmentId: appointment.id, location: location.key });
+  }
+  if (messages.length > 0) {
+    console.log(`[INFO] Sent ${kind} ${messages.map((m) => m.channel).join(" and ")} for appointment ${appointment.id}`);
+  }
+  return messages.length;
+}
+
+/**
+ * sendCustomerMessages in the background. Never fails the request that made the change.
+ */
+function notifyCustomer(location, kind, details) {
+  sendCustomerMessages(location, kind, details).catch((error) => {
+    console.error(`[ERROR] Could not send ${kind} message for appointment ${details.appointment.id}:`, error.message);
+  });
+}
+
+/**
+ * Called by the reminder scheduler when a reminder is due. Re-reads the appointment so a
+ * cancellation or move made anywhere since it was queued is respected.
+ */
+async function deliverReminder(reminder) {
+  const location = locationRegistry.get(reminder.locationKey);
+  if (!location) return "skipped (location no longer configured)";
+
+  let appointment;
+  try {
+    appointment = (await location.api.get(`/appointment/${reminder.appointmentId}`)).data.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return "skipped (appointment deleted)";
+    throw error;
+  }
+  if (!appointment || appointment.status === "Canceled") return "skipped (appointment canceled)";
+  if (new Date(appointment.startDate).toISOString() !== reminder.startDate) return "skipped (appointment moved)";
+
+  const customer = (await location.api.get(`/customer/${appointment.customerId}`)).data.data || {};
+  const phoneNumbers = customer.phoneNumbers || [];
+  const phoneEntry = phoneNumbers.find((p) => p.primary) || phoneNumbers[0];
+
+  const sent = await sendCustomerMessages(location, "reminder", {
+    customer,
+    phone: phoneEntry ? phoneEntry.number : null,
+    appointment,
+  });
+  return sent > 0 ? "sent" : "skipped (no phone or email on file)";
+}
+
+/**
+ * Queues reminders for every appointment in the next REMINDER_SWEEP_AHEAD_HOURS at each location,
+ * including ones booked directly in Shopmonkey.
+ */
+async function queueUpcomingReminders() {
+  const from = new Date();
+  const to = new Date(from.getTime() + REMINDER_SWEEP_AHEAD_HOURS * 60 * 60 * 1000);
+  for (const location of locationRegistry.locations) {
+    try {
+      const appointments = await findAppointmentsInRange(location, from, to, { label: "reminder sweep" });
+      const queued = appointments.filter((appointment) => reminders.schedule(location, appointment)).length;
+      console.log(`[INFO] Reminder sweep for ${location.key}: ${queued} of ${appointments.length} upcoming appointment(s) have a reminder queued`);
+    } catch (error) {
+      console.error(`[ERROR] Reminder sweep for ${location.key} failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Queues an appointment webhook (lib/webhooks.js). Never fails the request that made the change.
+ */
+function publishAppointmentEvent(location, type, data) {
+  try {
+    webhooks.emit(type, { ...data, source: CHANGE_SOURCE }, { location: location.key });
+  } catch (error) {
+    console.error(`[ERROR] Could not queue ${type} webhook:`, error.message);
+  }
+}
+
+/**
+ * Everything that follows a cancellation: the webhook, dropping the reminder and telling the customer.
+ */
+function announceCancellation(location, customer, phone, appointment, reason) {
+  reminders.cancel(location.key, appointment.id);
+  notifyCustomer(location, "cancellation", { customer, phone: normalizeToE164(location, phone), appointment, reason });
+  publishAppointmentEvent(location, WEBHOOK_EVENTS.APPOINTMENT_CANCELED, {
+    appointmentId: appointment.id,
+    customerId: customer.id,
+    title: appointment.name,
+    startDate: appointment.startDate,
+    endDate: appointment.endDate,
+    readable: formatToShopTime(location, new Date(appointment.startDate)),
+    reason: reason || null,
+    mode: CANCEL_MODE,
+  });
+}
+
+/**
+ * Marks an appointment Canceled and records why and by whom in its note, keeping the record for reporting.
+ */
+async function softCancelAppointment(location, appointment, reason) {
+  const cancelNote = `Canceled by ${CHANGE_SOURCE} on ${new Date().toISOString()}. Reason: ${reason || "not given"}`;
+  await location.api.put(`/appointment/${appointment.id}`, {
+    status: "Canceled",
+    note: appointment.note ? `${appointment.note}\n${cancelNote}` : cancelNote,
+  });
+}
+
+/**
+ * Drops cached availability windows and the customer's cached appointment list after a write.
+ */
+function invalidateAppointmentCaches(location, customerId) {
+  lookupCache.invalidateTag(`${location.key}:appointments`);
+  if (customerId) lookupCache.invalidate(`${location.key}:customer:${customerId}:appointments`);
+}
+
+/**
+ * Lists the shop-local dates ("YYYY-MM-DD") from the day containing `from` through the day containing `to`.
+ */
+function listShopDates(location, from, to) {
+  const dates = [];
+  const last = getShopDateString(to, location.timeZone);
+  let cursor = getShopDateString(from, location.timeZone);
+  while (cursor <= last) {
+    dates.push(cursor);
+    const nextDay = new Date(`${cursor}T12:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    cursor = nextDay.toISOString().slice(0, 10);
+  }
+  return dates;
+}
+
+/**
+ * Walks the given shop dates in chunks, fetching appointments once per chunk, and collects open slots.
+ * Stops early once `maxSlots` slots are found. Returns { slots, closedDays }.
+ */
+async function scanShopDays(location, shopDates, options) {
+  const slots = [];
+  const closedDays = [];
+
+  for (let i = 0; i < shopDates.length && slots.length < options.maxSlots; i += SEARCH_CHUNK_DAYS) {
+    const chunk = shopDates.slice(i, i + SEARCH_CHUNK_DAYS);
+    const openDays = [];
+
+    chunk.forEach((dateString) => {
+      const shopDay = getShopDay(location.schedule, dateString);
+      if (!shopDay.isOpen) {
+        closedDays.push({ date: dateString, code: shopDay.code, message: shopDay.message });
+        return;
+      }
+      openDays.push({ dateString, intervals: getOpenIntervals(location.schedule, dateString, location.timeZone) });
+    });
+
+    if (openDays.length === 0) continue;
+
+    // Look back 24h so long appointments that started the day before still count against capacity
+    const firstOpen = openDays[0].intervals[0].start;
+    const lastIntervals = openDays[openDays.length - 1].intervals;
+    const lastClose = lastIntervals[lastIntervals.length - 1].end;
+    // Short-lived cache: callers often re-ask for the same day while deciding
+    const searchFrom = new Date(firstOpen.getTime() - 24 * 60 * 60 * 1000);
+    const bookedAppointments = await lookupCache.wrap(
+      `${location.key}:availability:${searchFrom.toISOString()}:${lastClose.toISOString()}`,
+      { ttlMs: AVAILABILITY_CACHE_TTL_MS, tags: [`${location.key}:appointments`] },
+      () => findAppointmentsInRange(location, searchFrom, lastClose)
+    );
+    // Slots other callers are holding count as taken
+    const appointments = [...bookedAppointments, ...slotHolds.asAppointments(location.key, location.capacity.resourceField)];
+    console.log(`[DEBUG] Found ${appointments.length} existing appointments for ${chunk[0]} to ${chunk[chunk.length - 1]}.`);
+
+    for (const { intervals } of openDays) {
+      slots.push(...findSlotsInIntervals(location, intervals, appointments, options));
+      if (slots.length >= options.maxSlots) break;
+    }
+  }
+
+  const found = slots.slice(0, options.maxSlots);
+
+  // When stopping early, only report closed days the search actually had to skip over
+  if (found.length > 0 && found.length === options.maxSlots) {
+    const lastDate = getShopDateString(found[found.length - 1].start, location.timeZone);
+    return { slots: found, closedDays: closedDays.filter((d) => d.date <= lastDate) };
+  }
+
+  return { slots: found, closedDays };
+}
+
+/**
+ * Generates candidate start times inside the open intervals and keeps the ones with capacity left.
+ */
+function findSlotsInIntervals(location, intervals, appointments, options) {
+  const { durationMinutes, resourceId, now, notBefore, notAfter } = options;
+  const slots = [];
+
+  intervals.forEach((interval) => {
+    const slotTime = new Date(interval.start);
+
+    // Only keep slots where the whole appointment fits before the window closes
+    while (slotTime.getTime() + durationMinutes * 60000 <= interval.end.getTime()) {
+      const candidateStart = new Date(slotTime);
+      const candidateEnd = new Date(candidateStart.getTime() + durationMinutes * 60000);
+      let isValid = true;
+
+      // CHECK: Inside the requested range
+      if ((notBefore && candidateStart < notBefore) || (notAfter && candidateEnd > notAfter)) {
+        isValid = false;
+      }
+
+      // CHECK: Booking policy (not in the past, lead time, weekday notice such as Saturday 24h, horizon)
+      if (isValid && !checkBookingTiming(location.policy, candidateStart, location.timeZone, now).ok) {
+        isValid = false;
+      }
+
+      // CHECK: Capacity (bays / technicians still free for the whole service)
+      let slotCapacity = null;
+      if (isValid) {
+        slotCapacity = getSlotCapacity(location.capacity, appointments, candidateStart, candidateEnd, { resourceId });
+        if (!slotCapacity.available) {
+          isValid = false;
+        }
+      }
+
+      if (isValid) {
+        slots.push({ start: candidateStart, spotsLeft: slotCapacity.remaining });
+      }
+
+      // Advance by one slot length
+      slotTime.setMinutes(slotTime.getMinutes() + location.slotMinutes);
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Loads the appointments (and other callers' holds) around [start, end) and checks them against
+ * the location's capacity. Options: excludeAppointmentId (the one being moved), resourceId, holdToken (the caller's own hold).
+ * Returns getSlotCapacity's { available, capacity, booked, remaining } plus the appointments it saw.
+ */
+async function checkSlotAvailability(location, start, end, options = {}) {
+  const { excludeAppointmentId = null, resourceId = null, holdToken = null } = options;
   // Search window: +/- 24 hours
   const searchStartWindow = new Date(start.getTime() - 24 * 60 * 60 * 1000);
   const searchEndWindow = new Date(start.getTime() + 24 * 60 * 60 * 1000);
 
-  const searchPayload = {
-    where: {
-      locationId: { _eq: LOCATION_ID },
-      startDate: {
-        gte: searchStartWindow.toISOString(),
-        lte: searchEndWindow.toISOString()
-      },
-      status: { _neq: "Canceled" }
-    },
-    limit: 100,
-  };
+  const potentialConflicts = [
+    ...await findAppointmentsInRange(location, searchStartWindow, searchEndWindow),
+    ...slotHolds.asAppointments(location.key, location.capacity.resourceField, holdToken),
+  ];
 
-  const response = await shopmonkeyApi.post("/appointment/search", searchPayload);
-  const potentialConflicts = response.data.data || [];
+  return {
+    ...getSlotCapacity(location.capacity, potentialConflicts, start, end, { resourceId, excludeAppointmentId }),
+    appointments: potentialConflicts,
+  };
+}
 
-  const conflictingAppointment = potentialConflicts.find((appt) => {
-    if (excludeAppointmentId && appt.id === excludeAppointmentId) return false;
+/**
+ * Lock keys for a booking: one per shop-local day the appointment touches, scoped to the location.
+ */
+function slotLockKeys(location, start, end) {
+  return listShopDates(location, start, end).map((date) => `${location.key}:${date}`);
+}
 
-    const apptStart = new Date(appt.startDate);
-    const apptEnd = new Date(appt.endDate);
+/**
+ * Re-checks the slot after our write. The lock covers this process only, so another instance may
+ * have written an overlapping appointment between our check and our write. If the slot is now over
+ * capacity, the appointments that appeared since the check ("racers", plus ours) compete for the
+ * spots that were left, and the lowest IDs keep them. Every racer applies the same rule, so exactly
+ * the overflow gets rolled back. Returns true if ours must be rolled back.
+ */
+async function lostBookingRace(location, appointmentId, start, end, appointmentsAtCheck, options = {}) {
+  const { resourceId = null, holdToken = null } = options;
+  const overlaps = (appt) => new Date(appt.startDate) < end && new Date(appt.endDate) > start;
+
+  const { appointments } = await checkSlotAvailability(location, start, end, { resourceId, holdToken });
+  const others = appointments.filter((appt) => appt.id !== appointmentId);
+  if (getSlotCapacity(location.capacity, others, start, end, { resourceId }).available) {
+    return false;
+  }
 
-    // Overlap logic: (StartA < EndB) and (EndA > StartB)
-    return apptStart < end && apptEnd > start;
-  });
+  const overlappingAtCheck = new Set(appointmentsAtCheck.filter(overlaps).map((appt) => appt.id));
+  const racers = others.filter((appt) => overlaps(appt) && !overlappingAtCheck.has(appt.id));
+  const baseline = appointmentsAtCheck.filter((appt) => appt.id !== appointmentId);
+  const spotsForRacers = getSlotCapacity(location.capacity, baseline, start, end, { resourceId }).remaining;
 
-  return !conflictingAppointment;
+  const winners = [appointmentId, ...racers.map((appt) => appt.id)].map(String).sort().slice(0, spotsForRacers);
+  return !winners.includes(String(appointmentId));
 }
 
 // --- Start Server ---
@@ -942,4 +2117,9 @@ app.listen(PORT || 3000, () => {
     `[INFO] Shopmonkey Connector server running on port ${PORT || 3000}`
   );
   console.log(`[INFO] Ready to receive requests.`);
+
+  if (REMINDER_SWEEP_MINUTES > 0) {
+    queueUpcomingReminders();
+    setInterval(queueUpcomingReminders, REMINDER_SWEEP_MINUTES * 60 * 1000).unref();
+  }
 });
\ No newline at end of file